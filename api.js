@@ -0,0 +1,22 @@
+
+/**
+ * vue-cli-plugin-sitemap/api.js
+ *
+ * Programmatic API to generate the sitemaps without Vue CLI
+ */
+
+const { validate, generate, write }     = require('./src/api');
+const { createSitemapMiddleware }       = require('./src/middleware');
+const { SitemapWebpackPlugin }          = require('./src/webpack-plugin');
+const { SitemapError, ValidationError } = require('./src/errors');
+
+module.exports = {
+	validate,
+	generate,
+	write,
+	createSitemapMiddleware,
+	SitemapWebpackPlugin,
+
+	SitemapError,
+	ValidationError,
+}
@@ -20,9 +20,25 @@
  * PERFORMANCE OF THIS SOFTWARE.
  */
 
-const fs                               = require('fs');
-const { ajv, optionsValidator }        = require('./src/validation');
-const { throwError, generateSitemaps } = require('./src/sitemap');
+const fs                                   = require('fs');
+const path                                 = require('path');
+
+const { validate, generate, write }        = require('./src/api');
+const { writeRobotsTxt, getSitemapsNames } = require('./src/robots');
+const { createSitemapMiddleware }          = require('./src/middleware');
+const { SitemapWebpackPlugin }             = require('./src/webpack-plugin');
+const { MANIFEST_FILENAME, readManifest }  = require('./src/manifest');
+const { checkSitemapFiles }                = require('./src/checker');
+const { createReport, formatReport }       = require('./src/report');
+
+const {
+	readSitemapURLs,
+	getGeneratedURLs,
+	readWrittenURLs,
+	diffURLs,
+	exceedsThreshold,
+	formatDiff,
+} = require('./src/diff');
 
 module.exports = async function(api, options)
 {
@@ -38,46 +54,264 @@ module.exports = async function(api, options)
 			options: {
 				'-p, --pretty':                  'Prettify the XML to make the sitemap more human-readable',
 				'-o <dir>, --output-dir <dir>':  'Output the sitemap to the specified path instead of the current working directory',
+				'--gzip':                        'Compress the sitemaps with gzip (.xml.gz)',
+				'--formats <formats>':           'Output the sitemaps in the specified comma-separated formats (xml, txt, json)',
+				'--report [file]':               'Report the outcome of each route and the number of entries of each file, in the specified file (JSON if it ends with .json, Markdown otherwise) or in the console',
+				'--dry-run':                     'Generate the sitemaps without writing them',
+				'--diff <file>':                 'Show the URLs added, removed or changed since an existing sitemap or sitemap index (a path or a file:// URL)',
+				'--max-removed <threshold>':     'With --diff, exit with an error code if more URLs were removed than this number (or percentage, e.g. 10%)',
 			},
 		},
 		async function(args)
 		{
-			const cliOptions = { ...options.pluginOptions.sitemap };
+			const cliOptions = resolvePluginOptions(options.pluginOptions.sitemap, options);
 
 			if (args.pretty || args.p)
 				cliOptions.pretty = true;
 
-			await writeSitemap(cliOptions, args['output-dir'] || args.o || options.pluginOptions.sitemap.outputDir || '.');
+			// Don't overwrite the 'both' value of the option
+			if (args.gzip && !cliOptions.gzip)
+				cliOptions.gzip = true;
+
+			if (args.formats)
+				cliOptions.formats = `${args.formats}`.split(',').map(format => format.trim());
+
+			const outputDir = args['output-dir'] || args.o || options.pluginOptions.sitemap.outputDir || '.';
+			const report    = args.report ? createReport() : undefined;
+
+			// Read the existing sitemaps before they're overwritten
+			const previousURLs = args.diff ? readSitemapURLs(`${args.diff}`) : undefined;
+
+			if (args['dry-run'])
+			{
+				const previousManifest = cliOptions.incremental ? readManifest(path.join(outputDir, MANIFEST_FILENAME)) : undefined;
+				const files            = await generate(cliOptions, previousManifest, report);
+
+				Object.keys(files).forEach(filename => console.info(`Would write ${describeFile(filename)} at '${outputDir.replace(/\/$/, '')}/${filename}'`));
+				if (previousURLs)
+					compareSitemaps(previousURLs, getGeneratedURLs(files), args['max-removed']);
+			}
+			else
+			{
+				// Compare the written sitemaps to generate them only once
+				const filenames = await writeSitemap(cliOptions, outputDir, report);
+				if (previousURLs)
+					compareSitemaps(previousURLs, readWrittenURLs(outputDir, filenames), args['max-removed']);
+			}
+
+			if (report)
+				writeReport(report, args.report);
 		}
 	);
 
 	/**
-	 * Modify the 'build' command to generate the sitemap automatically
+	 * Add a new command to create or update the 'robots.txt' file
 	 */
-	const { build } = api.service.commands;
-	const buildFn   = build.fn;
-	build.fn = async function(...args)
+	api.registerCommand(
+		'robots',
+		{
+			usage:        'vue-cli-service robots [options]',
+			description:  "Create or update the 'robots.txt' file with the locations of the sitemaps",
+
+			options: {
+				'-o <dir>, --output-dir <dir>':  "Output the 'robots.txt' file to the specified path instead of the current working directory",
+			},
+		},
+		async function(args)
+		{
+			const cliOptions = resolvePluginOptions(options.pluginOptions.sitemap, options);
+			const outputDir  = args['output-dir'] || args.o || options.pluginOptions.sitemap.outputDir || '.';
+
+			// Enable the generation of the 'robots.txt' file if it's not configured
+			if (!cliOptions.robots)
+				cliOptions.robots = true;
+
+			// Generate the XML sitemaps in memory to get their names
+			const sitemaps = getSitemapsNames(Object.keys(await generate({ ...cliOptions, formats: ['xml'] })));
+			const filename = writeRobotsTxt(sitemaps, validate(cliOptions), outputDir);
+			console.info(`Generated and written robots file at '${outputDir.replace(/\/$/, '')}/${filename}'`);
+		}
+	);
+
+	/**
+	 * Add a new command to check existing sitemaps against the rules of the protocol
+	 */
+	api.registerCommand(
+		'sitemap:validate',
+		{
+			usage:        'vue-cli-service sitemap:validate [file|dir]',
+			description:  'Check the sitemaps and the sitemap indexes of a file or a directory (default: the output directory of the sitemaps)',
+		},
+		async function(args)
+		{
+			const target  = `${args._[0] || options.pluginOptions.sitemap.outputDir || '.'}`;
+			const results = Object.entries(checkSitemapFiles(target, { baseURL: options.pluginOptions.sitemap.baseURL }));
+			if (!results.length)
+			{
+				console.error(`No sitemap found in '${target}'`);
+				process.exitCode = 1;
+				return;
+			}
+
+			for (const [filepath, errors] of results)
+			{
+				if (!errors.length)
+				{
+					console.info(`'${filepath}' is valid`);
+					continue;
+				}
+
+				errors.forEach(error => console.error(`${filepath}:${error.line}: ${error.message}`));
+				process.exitCode = 1;
+			}
+		}
+	);
+
+	/**
+	 * Serve the sitemaps from the dev server, and reload the config on each request to reflect the latest changes
+	 */
+	api.configureDevServer(function(app)
+	{
+		app.use(createSitemapMiddleware(() => loadPluginOptions(api, options)));
+	});
+
+	/**
+	 * Emit the sitemaps as assets when building the app
+	 */
+	let isBuildingApp    = false;
+	let configOutputDir  = options.outputDir;
+	let previousManifest = undefined;
+	api.chainWebpack(function(config)
 	{
-		await buildFn(...args);
+		if (!isBuildingApp) return;
 
 		// Don't generate the sitemap if not in production and the option 'productionOnly' is set
 		if (options.pluginOptions.sitemap.productionOnly && process.env.NODE_ENV !== 'production') return;
 
-		await writeSitemap(options.pluginOptions.sitemap, options.pluginOptions.sitemap.outputDir || options.outputDir || 'dist');
+		// Move the sitemaps along with the rest of the build if its destination was changed with '--dest'
+		const from = api.resolve(configOutputDir);
+		const to   = api.resolve(options.outputDir);
+
+		// Read the manifest of the previous build before the destination is emptied (by the first build in modern mode)
+		const { incremental, outputDir } = rebaseOutputDir(api, options.pluginOptions.sitemap, from, to);
+		if (incremental && previousManifest === undefined)
+			previousManifest = readManifest(path.join(outputDir ? api.resolve(outputDir) : to, MANIFEST_FILENAME)) || null;
+
+		// In modern mode, only emit the sitemaps once (during the modern build)
+		if (process.env.VUE_CLI_MODERN_MODE && !process.env.VUE_CLI_MODERN_BUILD) return;
+
+		config.plugin('sitemap').use(SitemapWebpackPlugin, [() => rebaseOutputDir(api, loadPluginOptions(api, options), from, to), previousManifest]);
+	});
+
+	/**
+	 * Modify the 'build' command to know when the app (and not a library or a web component) is being built
+	 */
+	const { build } = api.service.commands;
+	const buildFn   = build.fn;
+	build.fn = async function(args, ...rest)
+	{
+		isBuildingApp    = !args.target || args.target == 'app';
+		configOutputDir  = options.outputDir;
+		previousManifest = undefined;
+
+		return buildFn(args, ...rest);
 	};
 }
 
-async function writeSitemap(options, outputDir)
+async function writeSitemap(options, outputDir, report = undefined)
 {
-	// Validate the config and set the default values
-	if (!optionsValidator(options))
-		throwError(ajv.errorsText(optionsValidator.errors).replace(/^data/, 'options'));
+	// Generate the sitemaps and stream them to the filesystem
+	const filenames = await write(options, outputDir, report);
+	filenames.forEach(filename => console.info(`Generated and written ${describeFile(filename)} at '${outputDir.replace(/\/$/, '')}/${filename}'`));
 
-	// Generatethe sitemaps and write them to the filesystem
-	const sitemaps = await generateSitemaps(options);
-	Object.keys(sitemaps).forEach(function(filename)
+	return filenames;
+}
+
+function describeFile(filename)
+{
+	return { 'robots.txt': 'robots file', [MANIFEST_FILENAME]: 'manifest' }[filename] || 'sitemap';
+}
+
+/**
+ * Print the differences between the URLs of an existing sitemap (or sitemap index) and the generated ones,
+ * and set an error exit code if more URLs were removed than allowed by the threshold
+ */
+function compareSitemaps({ urls, missing }, nextURLs, threshold = undefined)
+{
+	const diff = diffURLs(urls, nextURLs);
+
+	missing.forEach(loc => console.warn(`Cannot find the sitemap '${loc}' of the index next to it, its URLs are not compared`));
+	console.info(formatDiff(diff));
+
+	if (threshold !== undefined && exceedsThreshold(diff, Object.keys(urls).length, threshold))
 	{
-		fs.writeFileSync(`${outputDir}/${filename}.xml`, options.pretty ? sitemaps[filename] : sitemaps[filename].replace(/\t+|\n/g, ''));
-		console.info(`Generated and written sitemap at '${outputDir.replace(/\/$/, '')}/${filename}.xml'`);
-	});
+		console.error(`Too many URLs were removed (${diff.removed.length}, threshold: ${threshold})`);
+		process.exitCode = 1;
+	}
+}
+
+/**
+ * Print the report of the routes, or write it in a file if one is given
+ */
+function writeReport(report, filepath)
+{
+	if (typeof filepath != 'string')
+	{
+		console.info(formatReport(report));
+		return;
+	}
+
+	fs.writeFileSync(filepath, formatReport(report, filepath.endsWith('.json') ? 'json' : 'markdown'));
+	console.info(`Written the report of the routes at '${filepath}'`);
+}
+
+/**
+ * Load the latest version of the options of the plugin from the config file of the project
+ */
+function loadPluginOptions(api, options)
+{
+	const configPath = process.env.VUE_CLI_SERVICE_CONFIG_PATH || api.resolve('vue.config.js');
+	if (!fs.existsSync(configPath))
+		return resolvePluginOptions(options.pluginOptions.sitemap, options);
+
+	// Clear the cached modules of the project (e.g. the routes imported by the config)
+	Object.keys(require.cache)
+		.filter(modulePath => modulePath.startsWith(api.resolve('.') + path.sep) && !modulePath.includes('node_modules'))
+		.forEach(modulePath => delete require.cache[modulePath]);
+
+	const config        = require(configPath);
+	const projectConfig = { ...options, ...(((typeof config == 'function') ? config() : config) || {}) };
+	const pluginOptions = projectConfig.pluginOptions || {};
+
+	return resolvePluginOptions(pluginOptions.sitemap || options.pluginOptions.sitemap, projectConfig);
+}
+
+/**
+ * Move the output directory of the sitemaps to the destination of the build if it's inside the output directory of the config
+ */
+function rebaseOutputDir(api, sitemapOptions, from, to)
+{
+	if (!sitemapOptions.outputDir || from == to) return sitemapOptions;
+
+	const relativePath = path.relative(from, api.resolve(sitemapOptions.outputDir));
+	if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) return sitemapOptions;
+
+	return { ...sitemapOptions, outputDir: path.join(to, relativePath) };
+}
+
+/**
+ * Copy the options of the plugin, with the value 'true' of the 'publicPath' option replaced by the public path of the project
+ * (which is ignored if it's relative or a full URL, since the location of the pages can't be deduced from it)
+ */
+function resolvePluginOptions(sitemapOptions, projectOptions)
+{
+	const resolved = { ...sitemapOptions };
+	if (resolved.publicPath !== true) return resolved;
+
+	if (typeof projectOptions.publicPath == 'string' && projectOptions.publicPath.startsWith('/'))
+		resolved.publicPath = projectOptions.publicPath;
+	else
+		delete resolved.publicPath;
+
+	return resolved;
 }
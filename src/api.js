@@ -0,0 +1,125 @@
+
+/**
+ * src/api.js
+ */
+
+const fs                   = require('fs');
+const path                 = require('path');
+const zlib                 = require('zlib');
+
+const { validateOptions }  = require('./validation');
+const { generateSitemaps } = require('./sitemap');
+const { writeSitemaps }    = require('./writer');
+const { writeRobotsTxt,
+        getSitemapsNames } = require('./robots');
+const { loadRoutesFile }   = require('./routes-file');
+
+const {
+	MANIFEST_FILENAME,
+	createManifest,
+	readManifest,
+	serializeManifest,
+} = require('./manifest');
+
+/**
+ * Validate the options and set their default values
+ * Return a copy of the options, or throw a 'ValidationError' if they are invalid
+ */
+function validate(options)
+{
+	options = { ...options };
+
+	// Move the routes of the routes file into the 'routes' option, so that they're validated too
+	if (options.routesFile && typeof options.routesFile == 'string' && (options.routes === undefined || Array.isArray(options.routes)))
+	{
+		options.routes = [...(options.routes || []), ...loadRoutesFile(options.routesFile)];
+		delete options.routesFile;
+	}
+
+	return validateOptions(options);
+}
+
+/**
+ * Generate the sitemaps in memory (in incremental mode, from the manifest of the previous generation)
+ * and fill the report of the routes if one is given
+ * Return an object of blobs to save to different files ([filename]: [contents]), which are text blobs
+ * except for the sitemaps compressed with gzip (buffers named after the files they'll be written to)
+ */
+async function generate(options, previousManifest = undefined, report = undefined)
+{
+	const validOptions = validate(options);
+	const manifest     = validOptions.incremental ? createManifest(previousManifest) : undefined;
+	const blobs        = await generateSitemaps(validOptions, manifest, report);
+
+	let files = Object.keys(blobs).reduce(function(files, name)
+	{
+		// Add the extension of the XML sitemaps and minify them
+		if (validOptions.formats.some(format => format != 'xml' && name.endsWith(`.${format}`)))
+			return { ...files, [name]: blobs[name] };
+
+		return { ...files, [`${name}.xml`]: validOptions.pretty ? blobs[name] : blobs[name].replace(/\t+|\n/g, '') };
+	}, {});
+
+	// Compress the sitemaps like when they're written (but not the manifest)
+	if (validOptions.gzip)
+		files = compressFiles(files, validOptions, report);
+
+	if (manifest)
+		files[MANIFEST_FILENAME] = serializeManifest(manifest);
+
+	return files;
+}
+
+/**
+ * Replace the sitemaps with their compressed version (or add it alongside them if the 'gzip' option is set to 'both')
+ * and rename their entries in the report accordingly
+ */
+function compressFiles(files, options, report = undefined)
+{
+	const getFilenames = filename => (options.gzip == 'both') ? [filename, `${filename}.gz`] : [`${filename}.gz`];
+
+	if (report)
+		report.files = Object.entries(report.files).reduce((renamed, [filename, nbEntries]) => ({
+			...renamed,
+			...getFilenames(filename).reduce((entries, name) => ({ ...entries, [name]: nbEntries }), {}),
+		}), {});
+
+	return Object.entries(files).reduce((compressed, [filename, contents]) => ({
+		...compressed,
+		[`${filename}.gz`]: zlib.gzipSync(contents),
+		...((options.gzip == 'both') ? { [filename]: contents } : {}),
+	}), {});
+}
+
+/**
+ * Generate the sitemaps and write them in a directory (and update the 'robots.txt' file and the manifest if needed)
+ * and fill the report of the routes if one is given
+ * Return the list of the written files
+ */
+async function write(options, outputDir = '.', report = undefined)
+{
+	const validOptions = validate(options);
+	const manifestPath = path.join(outputDir, MANIFEST_FILENAME);
+	const manifest     = validOptions.incremental ? createManifest(readManifest(manifestPath)) : undefined;
+	const filenames    = await writeSitemaps(validOptions, outputDir, manifest, report);
+
+	if (manifest)
+	{
+		fs.writeFileSync(manifestPath, serializeManifest(manifest));
+		filenames.push(MANIFEST_FILENAME);
+	}
+
+	// Declare the XML sitemaps in the 'robots.txt' file
+	if (validOptions.robots)
+	{
+		filenames.push(writeRobotsTxt(getSitemapsNames(filenames), validOptions, outputDir));
+	}
+
+	return filenames;
+}
+
+module.exports = {
+	validate,
+	generate,
+	write,
+}
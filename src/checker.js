@@ -0,0 +1,347 @@
+
+/**
+ * src/checker.js
+ */
+
+const fs                             = require('fs');
+const path                           = require('path');
+const zlib                           = require('zlib');
+
+const { w3cDatePattern }             = require('./validation');
+const { URL_EXTENSIONS, throwError } = require('./sitemap');
+
+// Limits of the sitemap protocol
+const MAX_NB_URLS   = 50000;
+const MAX_NB_BYTES  = 52428800;
+const MAX_LOC_SIZE  = 2048;
+
+const SITEMAP_NAMESPACE = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+
+// Namespaces of the extensions, which must be declared in the sitemaps using them
+const EXTENSIONS_NAMESPACES = [
+	...Object.values(URL_EXTENSIONS).map(extension => extension.namespace),
+	'http://www.google.com/schemas/sitemap-news/0.9',
+];
+
+// Children of the entries of the sitemaps and the sitemap indexes, in the order required by the schema
+const ENTRIES = {
+	urlset:        { entry: 'url',     tags: ['loc', 'lastmod', 'changefreq', 'priority'] },
+	sitemapindex:  { entry: 'sitemap', tags: ['loc', 'lastmod']                           },
+};
+
+const CHANGEFREQ_VALUES = ['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never'];
+
+/**
+ * Check the sitemaps (and the sitemap indexes) of a file or a directory against the rules of the protocol
+ * Return an object of lists of errors ({ line, message }) indexed by the path of the checked files
+ */
+function checkSitemapFiles(target, options = {})
+{
+	if (!fs.existsSync(target))
+		throwError(`cannot find the sitemaps to check at '${target}'`);
+
+	// In a directory, only check the XML files which look like sitemaps
+	const isDirectory = fs.statSync(target).isDirectory();
+	const filepaths   = !isDirectory ? [target] : fs.readdirSync(target)
+		.filter(filename => /\.xml(?:\.gz)?$/.test(filename))
+		.map(filename => path.join(target, filename))
+		.filter(filepath => fs.statSync(filepath).isFile());
+
+	return filepaths.reduce(function(results, filepath)
+	{
+		const xml = readSitemapFile(filepath);
+		if (isDirectory && !/<(?:[\w.-]+:)?(?:urlset|sitemapindex)[\s>]/.test(xml))
+			return results;
+
+		return { ...results, [filepath]: checkSitemap(xml, options) };
+	}, {});
+}
+
+/**
+ * Read a sitemap file, and decompress it if needed
+ */
+function readSitemapFile(filepath)
+{
+	const contents = fs.readFileSync(filepath);
+
+	return (filepath.endsWith('.gz') ? zlib.gunzipSync(contents) : contents).toString();
+}
+
+/**
+ * Check a sitemap or a sitemap index against the rules of the protocol
+ * The locations must all be on the same host, which is either the one of the base URL or the one of the first location
+ * Return the list of the errors ({ line, message }) sorted by line
+ */
+function checkSitemap(xml, options = {})
+{
+	const errors = [];
+	const report = (line, message) => errors.push({ line, message });
+
+	if (Buffer.byteLength(xml) > MAX_NB_BYTES)
+		report(1, `the sitemap is larger than ${MAX_NB_BYTES} bytes (uncompressed)`);
+
+	const root = parseXML(xml, report);
+	if (!root) return sortErrors(errors);
+
+	if (root.namespace != SITEMAP_NAMESPACE || !ENTRIES[root.localName])
+	{
+		report(root.line, `the root element must be <urlset> or <sitemapindex> with the namespace '${SITEMAP_NAMESPACE}'`);
+		return sortErrors(errors);
+	}
+
+	const { entry, tags } = ENTRIES[root.localName];
+	const isEntry         = child => child.namespace == SITEMAP_NAMESPACE && child.localName == entry;
+	const entries         = root.children.filter(isEntry);
+	root.children
+		.filter(child => !isEntry(child))
+		.forEach(child => report(child.line, `unexpected element <${child.name}> in <${root.name}>, only <${entry}> elements are allowed`));
+
+	if (entries.length > MAX_NB_URLS)
+		report(root.line, `the ${root.localName == 'urlset' ? 'sitemap' : 'sitemap index'} contains more than ${MAX_NB_URLS} entries (${entries.length})`);
+
+	let host = options.baseURL ? getHost(options.baseURL) : undefined;
+	for (const element of entries)
+	{
+		checkEntryTags(element, tags, report);
+
+		const loc = element.children.find(child => child.namespace == SITEMAP_NAMESPACE && child.localName == 'loc');
+		if (loc && checkLoc(loc, report))
+		{
+			const url = loc.text.trim();
+
+			host = host || getHost(url);
+			if (getHost(url) != host)
+				report(loc.line, `the location '${url}' is not on the same host as the other URLs ('${host}')`);
+		}
+
+		element.children
+			.filter(child => child.namespace == SITEMAP_NAMESPACE)
+			.forEach(function(child)
+			{
+				const value = child.text.trim();
+				switch (child.localName)
+				{
+					case 'lastmod':
+						if (!new RegExp(w3cDatePattern).test(value))
+							report(child.line, `the date '${value}' doesn't follow the W3C format`);
+						break;
+
+					case 'changefreq':
+						if (!CHANGEFREQ_VALUES.includes(value))
+							report(child.line, `the frequency '${value}' must be one of: ${CHANGEFREQ_VALUES.join(', ')}`);
+						break;
+
+					case 'priority':
+						if (!/^(?:0?\.\d+|0(?:\.\d*)?|1(?:\.0*)?)$/.test(value))
+							report(child.line, `the priority '${value}' must be a number between 0.0 and 1.0`);
+						break;
+				}
+			});
+	}
+
+	return sortErrors(errors);
+}
+
+/**
+ * Check that an entry contains a single location, and the tags of the protocol at most once and in the right order
+ */
+function checkEntryTags(element, tags, report)
+{
+	const children = element.children.filter(child => child.namespace == SITEMAP_NAMESPACE);
+
+	const found       = new Set();
+	let previousIndex = -1;
+	for (const child of children)
+	{
+		const index = tags.indexOf(child.localName);
+		if (index == -1)
+			report(child.line, `unexpected element <${child.name}> in <${element.name}>`);
+		else if (found.has(child.localName))
+			report(child.line, `duplicate element <${child.name}> in <${element.name}>`);
+		else if (index < previousIndex)
+			report(child.line, `element <${child.name}> must come before <${tags[previousIndex]}> in <${element.name}>`);
+
+		found.add(child.localName);
+		previousIndex = Math.max(index, previousIndex);
+	}
+
+	if (!children.some(child => child.localName == 'loc'))
+		report(element.line, `missing element <loc> in <${element.name}>`);
+}
+
+/**
+ * Check that a location is a full URL, escaped and not too long
+ * Return 'true' if it's valid
+ */
+function checkLoc(loc, report)
+{
+	const url    = loc.text.trim();
+	const errors = [];
+
+	if (!/^https?:\/\/[^/?#]+/.test(url))
+		errors.push(`the location '${url}' must be a full URL starting with the protocol (http or https)`);
+
+	if (url.length >= MAX_LOC_SIZE)
+		errors.push(`the location '${url.slice(0, 50)}…' must be less than ${MAX_LOC_SIZE} characters long`);
+
+	// The apostrophes must be escaped as entities, and the characters which are not allowed in URIs must be percent-encoded
+	if (loc.raw.includes("'"))
+		errors.push(`the apostrophes of the location '${url}' must be escaped as '&apos;'`);
+	if (/[^\w\-.~:/?#[\]@!$&'()*+,;=%]|%(?![\da-fA-F]{2})/.test(url))
+		errors.push(`the location '${url}' must be URL-encoded`);
+
+	errors.forEach(error => report(loc.line, error));
+
+	return !errors.length;
+}
+
+function getHost(url)
+{
+	const match = url.match(/^https?:\/\/([^/?#]+)/i);
+
+	return match ? match[1].toLowerCase() : undefined;
+}
+
+function sortErrors(errors)
+{
+	return errors.sort((error1, error2) => error1.line - error2.line);
+}
+
+/**
+ * Parse an XML document into a tree of elements ({ name, localName, namespace, line, text, raw, children })
+ * Report the syntax errors with their line, and return the root element (or nothing if there is none)
+ */
+function parseXML(xml, report)
+{
+	const tokens   = /<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE[^>]*>|<[^>]*>?|[^<]+/g;
+	const stack    = [];
+	let   root     = undefined;
+	let   line     = 1;
+	let   match;
+
+	while ((match = tokens.exec(xml)) !== null)
+	{
+		const [token, cdata] = match;
+		const parent         = stack[stack.length - 1];
+
+		if (!token.startsWith('<'))
+		{
+			if (parent)
+				addText(parent, decodeEntities(token, line, report), token);
+			else if (token.trim())
+				report(line, 'unexpected text outside of the root element');
+		}
+		else if (token.startsWith('<?'))
+		{
+			const encoding = token.match(/encoding\s*=\s*["']([^"']*)["']/);
+			if (token.startsWith('<?xml') && encoding && encoding[1].toUpperCase() != 'UTF-8')
+				report(line, `the sitemap must be encoded in UTF-8 (found '${encoding[1]}')`);
+		}
+		else if (cdata !== undefined)
+		{
+			if (parent) addText(parent, cdata, token);
+		}
+		else if (token.startsWith('<!'))
+		{
+			// Ignore the comments and the doctype
+		}
+		else if (!token.endsWith('>'))
+		{
+			report(line, 'unclosed tag');
+		}
+		else if (token.startsWith('</'))
+		{
+			// Close the unclosed children of the matching element
+			const name  = token.slice(2, -1).trim();
+			const index = stack.map(element => element.name).lastIndexOf(name);
+			if (index == -1)
+				report(line, `unexpected closing tag </${name}>`);
+			else
+				stack.splice(index).slice(1).forEach(element => report(element.line, `unclosed element <${element.name}>`));
+		}
+		else
+		{
+			const element = parseElement(token, parent, line, report);
+
+			if (parent)
+				parent.children.push(element);
+			else if (root)
+				report(line, `unexpected element <${element.name}> after the root element`);
+			else
+				root = element;
+
+			if (!token.endsWith('/>'))
+				stack.push(element);
+		}
+
+		line += (token.match(/\n/g) || []).length;
+	}
+
+	stack.reverse().forEach(element => report(element.line, `unclosed element <${element.name}>`));
+	if (!root) report(1, 'the sitemap is empty');
+
+	return root;
+}
+
+/**
+ * Create an element from its opening tag, and resolve its namespace from the declarations of its ancestors
+ */
+function parseElement(tag, parent, line, report)
+{
+	const [, name = '', attributes = ''] = tag.match(/^<([^\s/>]*)([\s\S]*?)\/?>$/) || [];
+
+	const namespaces = { ...(parent ? parent.namespaces : {}) };
+	for (const [, attribute, doubleQuotedValue, singleQuotedValue] of attributes.matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g))
+	{
+		const value = (doubleQuotedValue !== undefined) ? doubleQuotedValue : singleQuotedValue;
+
+		if (attribute == 'xmlns')
+			namespaces[''] = value;
+		else if (attribute.startsWith('xmlns:'))
+			namespaces[attribute.slice(6)] = value;
+	}
+
+	const [prefix, localName] = name.includes(':') ? name.split(':') : ['', name];
+	if (prefix && !(prefix in namespaces))
+		report(line, `the namespace prefix '${prefix}' of element <${name}> is not declared`);
+	else if (prefix && !EXTENSIONS_NAMESPACES.includes(namespaces[prefix]) && namespaces[prefix] != SITEMAP_NAMESPACE)
+		report(line, `unknown namespace '${namespaces[prefix]}' for element <${name}>`);
+
+	return { name, localName, namespace: namespaces[prefix], namespaces, line, text: '', raw: '', children: [] };
+}
+
+function addText(element, text, raw)
+{
+	element.text += text;
+	element.raw  += raw;
+}
+
+/**
+ * Decode the entities of a text node, reporting the unescaped ampersands
+ */
+function decodeEntities(text, line, report)
+{
+	const entities = { amp: '&', apos: "'", quot: '"', lt: '<', gt: '>' };
+
+	return text.replace(/&(?:(\w+);|#(\d+);|#x([\da-fA-F]+);)?/g, function(entity, name, decimal, hexadecimal, offset)
+	{
+		if (decimal || hexadecimal)
+			return String.fromCodePoint(parseInt(decimal || hexadecimal, decimal ? 10 : 16));
+
+		if (name in entities)
+			return entities[name];
+
+		report(line + (text.slice(0, offset).match(/\n/g) || []).length, "the character '&' must be escaped as '&amp;'");
+
+		return entity;
+	});
+}
+
+module.exports = {
+	SITEMAP_NAMESPACE,
+
+	checkSitemap,
+	checkSitemapFiles,
+	readSitemapFile,
+	parseXML,
+}
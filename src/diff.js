@@ -0,0 +1,179 @@
+
+/**
+ * src/diff.js
+ */
+
+const fs                                               = require('fs');
+const path                                             = require('path');
+const zlib                                             = require('zlib');
+const { fileURLToPath }                                = require('url');
+
+const { throwError }                                   = require('./sitemap');
+const { SITEMAP_NAMESPACE, readSitemapFile, parseXML } = require('./checker');
+
+// Meta tags of the URLs compared between two versions of the sitemaps
+const META_TAGS = ['lastmod', 'changefreq', 'priority'];
+
+/**
+ * Read the URLs of an existing sitemap, or of all the sitemaps of a sitemap index found in the same directory
+ * The path of the file can also be given as a 'file://' URL
+ * Return the URLs ([loc]: [meta tags]) and the locations of the sitemaps of the index which couldn't be found
+ */
+function readSitemapURLs(target)
+{
+	const filepath = target.startsWith('file://') ? fileURLToPath(target) : target;
+	if (!fs.existsSync(filepath))
+		throwError(`cannot find the sitemap to compare with at '${target}'`);
+
+	const root = parseSitemap(readSitemapFile(filepath), filepath);
+	if (root.localName != 'sitemapindex')
+		return { urls: getURLs([root]), missing: [] };
+
+	// Look for the sitemaps of the index next to it
+	const locs     = getEntries(root, 'sitemap').map(entry => entry.loc);
+	const sitemaps = locs.map(loc => path.join(path.dirname(filepath), path.posix.basename(loc.replace(/[?#].*$/, ''))));
+
+	return {
+		urls:     getURLs(sitemaps.filter(fs.existsSync).map(sitemap => parseSitemap(readSitemapFile(sitemap), sitemap))),
+		missing:  locs.filter((loc, index) => !fs.existsSync(sitemaps[index])),
+	};
+}
+
+/**
+ * Read the URLs of the XML sitemaps generated in memory ([filename]: [contents]), which can be compressed
+ */
+function getGeneratedURLs(files)
+{
+	const roots = Object.keys(files)
+		.filter(filename => /\.xml(?:\.gz)?$/.test(filename))
+		.map(filename => parseSitemap(filename.endsWith('.gz') ? zlib.gunzipSync(files[filename]).toString() : files[filename], filename))
+		.filter(root => root.localName == 'urlset');
+
+	return getURLs(roots);
+}
+
+/**
+ * Read the URLs of the sitemaps written in a directory (the other files, e.g. the sitemap index, are skipped)
+ */
+function readWrittenURLs(outputDir, filenames)
+{
+	const roots = filenames
+		.filter(filename => /\.xml(?:\.gz)?$/.test(filename))
+		.map(filename => parseSitemap(readSitemapFile(path.join(outputDir, filename)), filename))
+		.filter(root => root.localName == 'urlset');
+
+	return getURLs(roots);
+}
+
+/**
+ * Compare two sets of URLs ([loc]: [meta tags])
+ * Return the locations of the added and removed URLs, and the URLs whose meta tags changed ({ loc, changes: { [tag]: [before, after] } })
+ */
+function diffURLs(previousURLs, nextURLs)
+{
+	const changed = Object.keys(nextURLs)
+		.filter(loc => loc in previousURLs)
+		.map(function(loc)
+		{
+			const changes = META_TAGS
+				.filter(tag => previousURLs[loc][tag] !== nextURLs[loc][tag])
+				.reduce((changes, tag) => ({ ...changes, [tag]: [previousURLs[loc][tag], nextURLs[loc][tag]] }), {});
+
+			return { loc, changes };
+		})
+		.filter(url => Object.keys(url.changes).length);
+
+	return {
+		added:    Object.keys(nextURLs).filter(loc => !(loc in previousURLs)),
+		removed:  Object.keys(previousURLs).filter(loc => !(loc in nextURLs)),
+		changed,
+	};
+}
+
+/**
+ * Check if more URLs were removed than allowed by a threshold, given as a number of URLs or as a percentage (e.g. '10%')
+ */
+function exceedsThreshold(diff, nbPreviousURLs, threshold)
+{
+	const match = `${threshold}`.match(/^(\d+(?:\.\d+)?)(%?)$/);
+	if (!match)
+		throwError(`the threshold of removed URLs must be a number or a percentage (e.g. '10%'), got '${threshold}'`);
+
+	const [, value, isPercentage] = match;
+	const nbRemoved               = isPercentage ? (nbPreviousURLs ? 100 * diff.removed.length / nbPreviousURLs : 0) : diff.removed.length;
+
+	return nbRemoved > parseFloat(value);
+}
+
+/**
+ * Format a diff as a list of lines, with a summary at the end
+ */
+function formatDiff(diff)
+{
+	const formatValue = value => (value === undefined) ? '(none)' : value;
+
+	return [
+		...diff.added.map(loc => `+ ${loc}`),
+		...diff.removed.map(loc => `- ${loc}`),
+		...diff.changed.map(url => `~ ${url.loc} (${Object.entries(url.changes).map(([tag, [before, after]]) => `${tag}: ${formatValue(before)} -> ${formatValue(after)}`).join(', ')})`),
+		`${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed`,
+	].join('\n');
+}
+
+/**
+ * Parse a sitemap or a sitemap index, and throw an error if it's invalid
+ */
+function parseSitemap(xml, filename)
+{
+	const errors = [];
+	const root   = parseXML(xml, (line, message) => errors.push(`${filename}:${line}: ${message}`));
+
+	if (errors.length)
+		throwError(`cannot parse the sitemap '${filename}':\n${errors.join('\n')}`);
+	if (root.namespace != SITEMAP_NAMESPACE || !['urlset', 'sitemapindex'].includes(root.localName))
+		throwError(`'${filename}' is not a sitemap or a sitemap index`);
+
+	return root;
+}
+
+/**
+ * Merge the URLs of several sitemaps, keeping the meta tags set in any of them
+ * (e.g. an URL of the news sitemap has none, but the same URL in the main sitemap can have some)
+ */
+function getURLs(roots)
+{
+	const urls = {};
+	roots
+		.flatMap(root => getEntries(root, 'url'))
+		.forEach(({ loc, ...tags }) => urls[loc] = { ...urls[loc], ...tags });
+
+	return urls;
+}
+
+/**
+ * Return the location and the meta tags of the entries of a sitemap or a sitemap index
+ */
+function getEntries(root, entry)
+{
+	return root.children
+		.filter(element => element.namespace == SITEMAP_NAMESPACE && element.localName == entry)
+		.map(function(element)
+		{
+			return ['loc', ...META_TAGS].reduce(function(tags, name)
+			{
+				const tag = element.children.find(child => child.namespace == SITEMAP_NAMESPACE && child.localName == name);
+
+				return tag ? { ...tags, [name]: tag.text.trim() } : tags;
+			}, {});
+		})
+		.filter(tags => tags.loc);
+}
+
+module.exports = {
+	readSitemapURLs,
+	getGeneratedURLs,
+	readWrittenURLs,
+	diffURLs,
+	exceedsThreshold,
+	formatDiff,
+}
@@ -0,0 +1,37 @@
+
+/**
+ * src/errors.js
+ */
+
+/**
+ * Error thrown when the sitemaps can't be generated
+ */
+class SitemapError extends Error
+{
+	constructor(message)
+	{
+		super(`[vue-cli-plugin-sitemap]: ${message}`);
+
+		this.name = 'SitemapError';
+	}
+}
+
+/**
+ * Error thrown when the options or the slugs are invalid,
+ * with the list of the validation errors reported by ajv
+ */
+class ValidationError extends SitemapError
+{
+	constructor(message, errors = [])
+	{
+		super(message);
+
+		this.name   = 'ValidationError';
+		this.errors = errors;
+	}
+}
+
+module.exports = {
+	SitemapError,
+	ValidationError,
+}
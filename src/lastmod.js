@@ -0,0 +1,100 @@
+
+/**
+ * src/lastmod.js
+ */
+
+const fs                                = require('fs');
+const path                              = require('path');
+const { promisify }                     = require('util');
+const { execFile }                      = require('child_process');
+
+const { ajv, lastmodValidator }         = require('./validation');
+const { SitemapError, ValidationError } = require('./errors');
+
+// Strategies to read the modification date of a route from its source file
+const LASTMOD_STRATEGIES = {
+	git:    getGitLastmod,
+	mtime:  getMtimeLastmod,
+};
+
+/**
+ * Check if a value of the 'lastmod' property is a strategy rather than a date
+ */
+function isLastmodStrategy(lastmod)
+{
+	return Object.keys(LASTMOD_STRATEGIES).includes(lastmod);
+}
+
+/**
+ * Replace the modification date strategy of a route (or the default one) with the date of its source file
+ */
+async function resolveRouteLastmod(route, meta, options)
+{
+	const strategy = ('lastmod' in meta) ? meta.lastmod : options.defaults.lastmod;
+	if (!isLastmodStrategy(strategy)) return meta;
+
+	// The routes without a source file (e.g. redirections) have no modification date
+	const source = getRouteSource(route, meta);
+	if (!source)
+	{
+		if (getRouteComponent(route))
+			console.warn(`Cannot find the source file of the component of route '${route.path}', set its 'source' property to give it a modification date`);
+
+		return { ...meta, lastmod: undefined };
+	}
+
+	if (!fs.existsSync(source))
+		throw new SitemapError(`cannot find the source file '${source}' of route '${route.path}'`);
+
+	const data = { lastmod: await LASTMOD_STRATEGIES[strategy](source) };
+	if (data.lastmod !== undefined && !lastmodValidator(data))
+		throw new ValidationError(ajv.errorsText(lastmodValidator.errors).replace(/^data/, `route '${route.path}'`), lastmodValidator.errors);
+
+	return { ...meta, lastmod: data.lastmod };
+}
+
+/**
+ * Return the path of the source file of a route: either the one set in its meta or the file of its component
+ * (set in the '__file' property of the components by the loader of the routes file, but otherwise unknown:
+ * 'vue-loader' only sets it in development builds, and the routes of the options don't go through it)
+ */
+function getRouteSource(route, meta)
+{
+	if (meta.source) return path.resolve(meta.source);
+
+	const component = getRouteComponent(route);
+
+	return (component && typeof component.__file == 'string') ? path.resolve(component.__file) : undefined;
+}
+
+function getRouteComponent(route)
+{
+	return route.component || (route.components && route.components.default);
+}
+
+/**
+ * Return the date of the latest commit of a file (or nothing if it hasn't been committed yet)
+ */
+async function getGitLastmod(filepath)
+{
+	try
+	{
+		const { stdout } = await promisify(execFile)('git', ['log', '-1', '--format=%cI', '--', path.basename(filepath)], { cwd: path.dirname(filepath) });
+
+		return stdout.trim() || undefined;
+	}
+	catch (error)
+	{
+		throw new SitemapError(`cannot read the git history of '${filepath}': ${error.message.trim()}`);
+	}
+}
+
+async function getMtimeLastmod(filepath)
+{
+	return (await fs.promises.stat(filepath)).mtime;
+}
+
+module.exports = {
+	isLastmodStrategy,
+	resolveRouteLastmod,
+}
@@ -0,0 +1,91 @@
+
+/**
+ * src/manifest.js
+ */
+
+const fs     = require('fs');
+const crypto = require('crypto');
+
+// Name of the file saved next to the sitemaps in incremental mode
+const MANIFEST_FILENAME = 'sitemap-manifest.json';
+
+/**
+ * Create the manifest of a new generation from the one of the previous generation (if any)
+ */
+function createManifest(previousManifest = undefined)
+{
+	return {
+		previous:  (previousManifest && previousManifest.urls) || {},
+		urls:      {},
+		date:      new Date().toISOString(),
+	};
+}
+
+/**
+ * Read the manifest of the previous generation (return nothing if it doesn't exist or is invalid)
+ */
+function readManifest(filepath)
+{
+	try
+	{
+		return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+	}
+	catch (error)
+	{
+		return undefined;
+	}
+}
+
+function serializeManifest(manifest)
+{
+	return JSON.stringify({ urls: manifest.urls }, null, '\t');
+}
+
+/**
+ * Keep the modification date of an URL from the previous generation if its content hasn't changed,
+ * unless the URL has a more recent date of its own (set explicitly or read from its source file)
+ * The URLs without a date of their own get a generated one (the default date, or the date of the generation),
+ * which only replaces the previous date when their content changes
+ */
+function applyManifest(url, manifest, generatedLastmod = undefined)
+{
+	const hash     = hashURL(url);
+	const previous = manifest.previous[url.loc];
+	const isKept   = previous && previous.hash == hash && previous.lastmod;
+
+	const lastmod  = (url.lastmod !== undefined && (!isKept || new Date(url.lastmod) > new Date(previous.lastmod))) ? url.lastmod
+	               : isKept                                                                                         ? previous.lastmod
+	               : (generatedLastmod !== undefined)                                                               ? generatedLastmod
+	               : manifest.date;
+
+	manifest.urls[url.loc] = { hash, lastmod };
+
+	return { ...url, lastmod };
+}
+
+/**
+ * Hash the content of an URL, i.e. all its properties (including the optional 'contentHash')
+ * except its location, its modification date and the slugs of its route
+ */
+function hashURL(url)
+{
+	const content = Object.keys(url)
+		.filter(key => !['loc', 'lastmod', 'slugs'].includes(key))
+		.reduce((content, key) => ({ ...content, [key]: url[key] }), {});
+
+	// Sort the keys of the objects so that the hash doesn't depend on their order
+	const json = JSON.stringify(content, (key, value) => (value && typeof value == 'object' && !Array.isArray(value))
+		? Object.keys(value).sort().reduce((sorted, key) => ({ ...sorted, [key]: value[key] }), {})
+		: value
+	);
+
+	return crypto.createHash('sha1').update(json || '').digest('hex');
+}
+
+module.exports = {
+	MANIFEST_FILENAME,
+	createManifest,
+	readManifest,
+	serializeManifest,
+	applyManifest,
+}
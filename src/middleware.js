@@ -0,0 +1,88 @@
+
+/**
+ * src/middleware.js
+ */
+
+const { generate }          = require('./api');
+const { MANIFEST_FILENAME } = require('./manifest');
+
+const {
+	prefixPublicPath,
+	getSitemapIndexFilename,
+	getNewsSitemapFilename,
+} = require('./sitemap');
+
+// Media types of the formats of the sitemaps (and of the compressed sitemaps)
+const CONTENT_TYPES = {
+	xml:  'application/xml; charset=utf-8',
+	txt:  'text/plain; charset=utf-8',
+	json: 'application/json; charset=utf-8',
+	gz:   'application/gzip',
+};
+
+/**
+ * Create a middleware (compatible with Express and Connect) serving the sitemaps,
+ * which are generated anew on each request from the options (or from a function returning them)
+ */
+function createSitemapMiddleware(options)
+{
+	return async function(req, res, next)
+	{
+		// Ignore the requests which can't be for a sitemap
+		const pathname  = req.url.split(/[?#]/)[0].replace(/^\/+/, '/');
+		const filename  = pathname.split('/').pop();
+		if (!['GET', 'HEAD'].includes(req.method) || !/\.(?:xml|txt|json)(?:\.gz)?$/.test(filename))
+			return next();
+
+		try
+		{
+			const sitemapOptions = (typeof options == 'function' ? await options() : options) || {};
+
+			// The sitemaps are served at the root of the public path of the app,
+			// and only generated if the requested file can be one of them
+			if (pathname != prefixPublicPath(`/${filename}`, sitemapOptions) || !isSitemapFilename(filename, sitemapOptions))
+				return next();
+
+			const sitemaps = await generate(sitemapOptions);
+			if (filename in sitemaps == false)
+				return next();
+
+			res.statusCode = 200;
+			res.setHeader('Content-Type',  CONTENT_TYPES[filename.split('.').pop()]);
+			res.setHeader('Cache-Control', 'no-store');
+			res.end(req.method == 'HEAD' ? '' : sitemaps[filename]);
+		}
+		catch (error)
+		{
+			next(error);
+		}
+	}
+}
+
+/**
+ * Check if a file can be one of the sitemaps generated with some options, without generating them
+ * (the names of the sitemaps all derive from the 'filename' option, unless it's a function)
+ */
+function isSitemapFilename(filename, options)
+{
+	const [, name, format, isCompressed] = filename.match(/^(.+)\.(xml|txt|json)(\.gz)?$/) || [];
+
+	if (!name || filename == MANIFEST_FILENAME || (isCompressed && !options.gzip))
+		return false;
+
+	// The sitemap index and the news sitemap are always in XML
+	if (format != 'xml' && !(options.formats || []).includes(format))
+		return false;
+
+	if (typeof options.filename == 'function' || [getSitemapIndexFilename(options), getNewsSitemapFilename(options)].includes(name))
+		return true;
+
+	// The parts and the groups of the sitemaps are suffixed to the base name (e.g. 'sitemap-part-1' or 'sitemap-blog')
+	const baseFilename = (typeof options.filename == 'string') ? options.filename : 'sitemap';
+
+	return name == baseFilename || name.startsWith(`${baseFilename}-`);
+}
+
+module.exports = {
+	createSitemapMiddleware,
+}
@@ -0,0 +1,149 @@
+
+/**
+ * src/report.js
+ */
+
+// Descriptions of the outcomes of the routes in the Markdown report
+const OUTCOMES = {
+	'static':        'static',
+	'expanded':      'expanded',
+	'ignored':       'ignored',
+	'catch-all':     'catch-all route',
+	'overridden':    'overridden by a handwritten URL',
+	'deduplicated':  'deduplicated',
+};
+
+/**
+ * Create a report to follow the outcome of each route during the generation of the sitemaps
+ */
+function createReport()
+{
+	return {
+		routes:       [],
+		handwritten:  { urls: 0, deduplicated: 0 },
+		files:        {},
+
+		// Routes which generated each URL (the other URLs are handwritten)
+		origins:      new WeakMap(),
+	};
+}
+
+/**
+ * Add a route to the report, and return its entry (or nothing if there is no report)
+ */
+function recordRoute(report, path, meta, outcome)
+{
+	if (!report) return undefined;
+
+	const entry = {
+		path:          `/${path}`,
+		group:         meta.group,
+		outcome,
+		slugs:         (outcome == 'expanded') ? 0 : undefined,
+		urls:          0,
+		overridden:    0,
+		deduplicated:  0,
+	};
+	report.routes.push(entry);
+
+	return entry;
+}
+
+/**
+ * Remember the route which generated an URL
+ */
+function recordRouteURL(report, entry, url)
+{
+	if (report) report.origins.set(url, entry);
+
+	return url;
+}
+
+/**
+ * Count an URL kept in the sitemaps, or discarded because its location was already generated
+ * (by a handwritten URL, which always has precedence, or by another route)
+ */
+function recordURL(report, entry, firstEntry = undefined, isDuplicate = false)
+{
+	if (!report) return;
+
+	const counts = entry || report.handwritten;
+	if (!isDuplicate)
+		counts.urls++;
+	else if (entry && !firstEntry)
+		counts.overridden++;
+	else
+		counts.deduplicated++;
+}
+
+function recordFile(report, filenames, nbEntries)
+{
+	if (report) filenames.forEach(filename => report.files[filename] = nbEntries);
+}
+
+/**
+ * Format a report as JSON or Markdown
+ */
+function formatReport(report, format = 'markdown')
+{
+	const routes = report.routes.map(route => ({ ...route, outcome: getRouteOutcome(route) }));
+	const totals = routes.reduce((totals, route) => ({ ...totals, [route.outcome]: (totals[route.outcome] || 0) + 1 }), {});
+
+	if (format == 'json')
+		return JSON.stringify({ routes, handwritten: report.handwritten, totals, files: report.files }, null, '\t');
+
+	const hasGroups = routes.some(route => route.group !== undefined);
+	const table     = rows => rows.map(row => `| ${row.join(' | ')} |`).join('\n');
+
+	return [
+		'## Routes',
+		'',
+		table([
+			['Route', ...(hasGroups ? ['Group'] : []), 'Outcome', 'URLs'],
+			['-----', ...(hasGroups ? ['-----'] : []), '-------', '----'],
+			...routes.map(route => [`\`${route.path}\``, ...(hasGroups ? [route.group || ''] : []), describeOutcome(route), route.urls]),
+		]),
+		'',
+		`Routes: ${Object.entries(totals).map(([outcome, total]) => `${total} ${outcome}`).join(', ') || 'none'}`,
+		`Handwritten URLs: ${report.handwritten.urls}${report.handwritten.deduplicated ? ` (${report.handwritten.deduplicated} deduplicated)` : ''}`,
+		'',
+		'## Files',
+		'',
+		table([
+			['File', 'Entries'],
+			['----', '-------'],
+			...Object.entries(report.files),
+		]),
+		'',
+	].join('\n');
+}
+
+/**
+ * Return the final outcome of a route, i.e. whether all its URLs were discarded as duplicates
+ */
+function getRouteOutcome(route)
+{
+	if (route.urls || !['static', 'expanded'].includes(route.outcome)) return route.outcome;
+
+	return route.overridden ? 'overridden' : route.deduplicated ? 'deduplicated' : route.outcome;
+}
+
+function describeOutcome(route)
+{
+	const details = [
+		...(route.overridden   ? [`${route.overridden} overridden by a handwritten URL`] : []),
+		...(route.deduplicated ? [`${route.deduplicated} deduplicated`]                  : []),
+	];
+	const outcome = (route.outcome == 'expanded') ? `expanded into ${route.slugs} slug${route.slugs == 1 ? '' : 's'}` : OUTCOMES[route.outcome];
+
+	return (route.urls && details.length) ? `${outcome} (${details.join(', ')})` : outcome;
+}
+
+module.exports = {
+	createReport,
+	recordRoute,
+	recordRouteURL,
+	recordURL,
+	recordFile,
+	formatReport,
+}
@@ -0,0 +1,133 @@
+
+/**
+ * src/robots.js
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const {
+	throwError,
+	getSitemapIndexFilename,
+	getNewsSitemapFilename,
+	getIgnoredRoutesPaths,
+	getSitemapURL,
+	prefixPublicPath,
+} = require('./sitemap');
+
+// Comments surrounding the part of the file managed by the plugin, so that it can be updated without touching the rest
+const BLOCK_START = '# Start of the rules generated by vue-cli-plugin-sitemap';
+const BLOCK_END   = '# End of the rules generated by vue-cli-plugin-sitemap';
+
+/**
+ * Create or update the 'robots.txt' file of the output directory
+ * given the names of the generated sitemaps (without the extension)
+ */
+function writeRobotsTxt(sitemaps, options, outputDir)
+{
+	const filepath = path.join(outputDir, 'robots.txt');
+	const contents = fs.existsSync(filepath) ? fs.readFileSync(filepath, 'utf8') : '';
+
+	fs.writeFileSync(filepath, generateRobotsTxt(sitemaps, options, contents));
+
+	return 'robots.txt';
+}
+
+/**
+ * Return the names (without the extension) of the XML sitemaps among a list of generated files
+ * (which can also include compressed sitemaps, sitemaps in other formats or the manifest)
+ */
+function getSitemapsNames(filenames)
+{
+	const xmlFilenames = filenames.filter(filename => /\.xml(?:\.gz)?$/.test(filename));
+
+	return [...new Set(xmlFilenames.map(filename => filename.replace(/\.xml(?:\.gz)?$/, '')))];
+}
+
+/**
+ * Generate the contents of a 'robots.txt' file, optionally by updating an existing one
+ */
+function generateRobotsTxt(sitemaps, options, contents = '')
+{
+	if (!options.baseURL)
+		throwError(`the 'robots' option requires a base URL to generate the absolute locations of the sitemaps`);
+
+	const robots   = (typeof options.robots == 'object') ? options.robots : {};
+	const groups   = getRobotsRules(robots, options).map(generateRobotsGroup);
+	const lines    = getRobotsSitemapsURLs(sitemaps, options).map(url => `Sitemap: ${url}`);
+	const block    = [BLOCK_START, ...groups.map(group => `${group}\n`), ...lines, BLOCK_END].join('\n');
+
+	// Remove the previously generated rules and the handwritten duplicates of the sitemaps
+	const rest = contents
+		.replace(new RegExp(`${BLOCK_START}[\\s\\S]*?${BLOCK_END}\\n?`), '')
+		.split('\n')
+		.filter(line => !lines.includes(line.trim().replace(/^sitemap:\s*/i, 'Sitemap: ')))
+		.join('\n')
+		.trim();
+
+	return rest ? `${rest}\n\n${block}\n` : `${block}\n`;
+}
+
+/**
+ * Return the list of rules, with the paths of the ignored routes added to the rules of every user agent if needed
+ */
+function getRobotsRules(robots, options)
+{
+	const rules = (robots.rules || []).map(rule => ({ ...rule }));
+	if (!robots.disallowIgnoredRoutes) return rules;
+
+	const paths = [
+		...getIgnoredRoutesPaths(options.routes),
+		...Object.values(options.sitemaps || {}).flatMap(sitemap => getIgnoredRoutesPaths(sitemap.routes)),
+	]
+	// Add the language prefixes to the paths
+	.flatMap(path => (options.locales && options.locales.strategy == 'prefix') ? options.locales.languages.map(language => `/${language}${path}`) : [path])
+	.map(path => prefixPublicPath(path, options));
+	if (!paths.length) return rules;
+
+	let rule = rules.find(rule => [].concat(rule.userAgent).includes('*'));
+	if (!rule)
+	{
+		rule = { userAgent: '*' };
+		rules.push(rule);
+	}
+	rule.disallow = [...(rule.disallow || [])];
+
+	// Only keep the paths which aren't already covered by another one
+	paths.sort().forEach(function(path)
+	{
+		if (!rule.disallow.some(disallowed => path.startsWith(disallowed)))
+			rule.disallow.push(path);
+	});
+
+	return rules;
+}
+
+function generateRobotsGroup(rule)
+{
+	return [
+		...[].concat(rule.userAgent).map(userAgent => `User-agent: ${userAgent}`),
+		...(rule.allow    || []).map(path => `Allow: ${path}`),
+		...(rule.disallow || []).map(path => `Disallow: ${path}`),
+		...('crawlDelay' in rule ? [`Crawl-delay: ${rule.crawlDelay}`] : []),
+	].join('\n');
+}
+
+/**
+ * Return the absolute URLs of the sitemaps to declare in the 'robots.txt' file
+ * (only the index and the news sitemap if there is an index, since it already lists the other sitemaps)
+ */
+function getRobotsSitemapsURLs(sitemaps, options)
+{
+	const index = getSitemapIndexFilename(options);
+	const news  = getNewsSitemapFilename(options);
+
+	return (sitemaps.includes(index) ? sitemaps.filter(sitemap => [index, news].includes(sitemap)) : sitemaps)
+		.map(sitemap => getSitemapURL(sitemap, options));
+}
+
+module.exports = {
+	getSitemapsNames,
+	writeRobotsTxt,
+	generateRobotsTxt,
+}
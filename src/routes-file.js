@@ -0,0 +1,245 @@
+
+/**
+ * src/routes-file.js
+ */
+
+const fs         = require('fs');
+const path       = require('path');
+const Module     = require('module');
+
+const { throwError } = require('./sitemap');
+
+// Extensions of the modules which are loaded (the other files, e.g. components or stylesheets, are stubbed)
+const SCRIPT_EXTENSIONS = ['.js', '.mjs', '.cjs', '.ts', '.json'];
+
+/**
+ * Load the routes exported by a file of the app (e.g. the file of the router)
+ * The file can be an ES module or written in TypeScript, and export either an array of routes or a router instance
+ */
+function loadRoutesFile(filepath)
+{
+	const resolvedPath = resolveFile(path.resolve(filepath));
+	if (!resolvedPath)
+		throwError(`cannot find the routes file '${filepath}'`);
+
+	const exported = loadModule(resolvedPath, new Map());
+	const routes   = (exported && exported.__esModule && 'default' in exported) ? exported.default : exported;
+
+	if (Array.isArray(routes))
+		return setComponentsFiles(routes);
+
+	// Instances of the router (created with 'new VueRouter()' or 'createRouter()') keep the routes in their options
+	if (routes && routes.options && Array.isArray(routes.options.routes))
+		return setComponentsFiles(routes.options.routes);
+
+	throwError(`the routes file '${filepath}' must export an array of routes or a router instance`);
+}
+
+/**
+ * Set the path of the files of the lazy-loaded components (the other ones are stubs which already have it)
+ * in their '__file' property, like 'vue-loader' does, so that the modification dates of the routes can be read
+ */
+function setComponentsFiles(routes)
+{
+	routes.forEach(function(route)
+	{
+		const component = route.component || (route.components && route.components.default);
+		if (typeof component == 'function' && typeof component.__file != 'string')
+		{
+			// The dynamic imports are stubbed, so calling the function doesn't load anything
+			try
+			{
+				const loaded = component();
+				if (loaded && typeof loaded.__file == 'string')
+					component.__file = loaded.__file;
+			}
+			catch (error)
+			{
+				// Not a lazy-loaded component
+			}
+		}
+
+		if (route.children)
+			setComponentsFiles(route.children);
+	});
+
+	return routes;
+}
+
+/**
+ * Transpile and execute a module of the app with its own 'require' function
+ */
+function loadModule(filepath, cache)
+{
+	if (cache.has(filepath)) return cache.get(filepath).exports;
+
+	if (path.extname(filepath) == '.json')
+		return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+
+	const appModule    = new Module(filepath, null);
+	appModule.filename = filepath;
+	appModule.paths    = Module._nodeModulePaths(path.dirname(filepath));
+	appModule.require  = request => requireDependency(request, filepath, cache);
+
+	// Replace the dynamic imports by promises of stubs
+	appModule.stubImport = function(request)
+	{
+		const stub = createStub(resolveRequest(request, filepath));
+
+		return Object.assign(Promise.resolve(stub), { __file: stub.__file });
+	};
+
+	// Register the module before running it to support circular dependencies
+	cache.set(filepath, appModule);
+	appModule._compile(transpile(fs.readFileSync(filepath, 'utf8'), filepath), filepath);
+
+	return appModule.exports;
+}
+
+function requireDependency(request, parentPath, cache)
+{
+	// Replace the router by a stub which only keeps its options, since it can't run outside of a browser
+	if (request == 'vue-router')
+		return createRouterStub();
+
+	if (/^(?:\.|\/|@\/)/.test(request))
+	{
+		const filepath = resolveRequest(request, parentPath);
+
+		return (filepath && SCRIPT_EXTENSIONS.includes(path.extname(filepath))) ? loadModule(filepath, cache) : createStub(filepath);
+	}
+
+	// Stub the packages which can't be loaded
+	try
+	{
+		return require(require.resolve(request, { paths: [path.dirname(parentPath)] }));
+	}
+	catch (error)
+	{
+		return createStub();
+	}
+}
+
+/**
+ * Return the path of the local file imported by a module (with support for the '@' alias of Vue CLI)
+ */
+function resolveRequest(request, parentPath)
+{
+	return resolveFile(request.startsWith('@/') ? path.resolve('src', request.slice(2)) : path.resolve(path.dirname(parentPath), request));
+}
+
+/**
+ * Find the file matching a path, whose extension may have been omitted
+ */
+function resolveFile(base)
+{
+	const candidates = [base, ...SCRIPT_EXTENSIONS.map(ext => `${base}${ext}`), ...SCRIPT_EXTENSIONS.map(ext => path.join(base, `index${ext}`))];
+
+	return candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+}
+
+/**
+ * Compile the ES modules and TypeScript files to CommonJS with the compiler of the project (TypeScript or Babel)
+ */
+function transpile(source, filepath)
+{
+	// Stub the dynamic imports of the lazy-loaded components
+	source = source.replace(/(^|[^.\w$])import\s*\(/g, '$1module.stubImport(');
+
+	const isTypeScript = path.extname(filepath) == '.ts';
+	if (!isTypeScript && !/^\s*(?:import|export)\b/m.test(source))
+		return source;
+
+	const typescript = requireFromProject('typescript', filepath);
+	if (typescript)
+	{
+		return typescript.transpileModule(source, {
+			fileName:        filepath,
+			compilerOptions: {
+				module:           typescript.ModuleKind.CommonJS,
+				target:           typescript.ScriptTarget.ES2018,
+				esModuleInterop:  true,
+			},
+		}).outputText;
+	}
+
+	const babel   = requireFromProject('@babel/core', filepath);
+	const plugins = ['@babel/plugin-transform-modules-commonjs', ...(isTypeScript ? ['@babel/plugin-transform-typescript'] : [])]
+		.map(plugin => resolveFromProject(plugin, filepath));
+	if (babel && plugins.every(Boolean))
+		return babel.transformSync(source, { filename: filepath, babelrc: false, configFile: false, plugins }).code;
+
+	throwError(`loading the routes file '${filepath}' requires either 'typescript' or '@babel/core' (with '@babel/plugin-transform-modules-commonjs') to be installed`);
+}
+
+function requireFromProject(name, filepath)
+{
+	const modulePath = resolveFromProject(name, filepath);
+
+	return modulePath ? require(modulePath) : null;
+}
+
+function resolveFromProject(name, filepath)
+{
+	try
+	{
+		return require.resolve(name, { paths: [path.dirname(filepath), process.cwd()] });
+	}
+	catch (error)
+	{
+		return null;
+	}
+}
+
+/**
+ * Create an object which can be used in any way (called, instantiated, or have any property accessed),
+ * optionally with the path of the file it replaces
+ */
+function createStub(filepath = undefined)
+{
+	const stub = new Proxy(function() {}, {
+		get(target, property)
+		{
+			// Don't pass for an ES module or a promise
+			if (property == '__esModule' || property == 'then') return undefined;
+
+			if (property == '__file') return filepath || stub;
+
+			return (property == Symbol.toPrimitive) ? () => '' : stub;
+		},
+		apply:      () => stub,
+		construct:  () => stub,
+	});
+
+	return stub;
+}
+
+/**
+ * Create a stub of 'vue-router' (v3 or v4) whose routers only keep their options
+ */
+function createRouterStub()
+{
+	class VueRouter
+	{
+		constructor(options = {})
+		{
+			this.options = options;
+		}
+	}
+
+	// Export the router as the module itself (CommonJS) and as its default export
+	Object.assign(VueRouter, {
+		__esModule:    true,
+		default:       VueRouter,
+		install:       () => {},
+		createRouter:  options => new VueRouter(options),
+	});
+
+	// Stub the other exports (e.g. 'createWebHistory()')
+	const stub = createStub();
+	return new Proxy(VueRouter, { get: (target, property) => (property in target) ? target[property] : stub });
+}
+
+module.exports = {
+	loadRoutesFile,
+}
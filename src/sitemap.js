@@ -3,94 +3,379 @@
  * src/sitemap.js
  */
 
-const { ajv, slugsValidator } = require('./validation');
+const { ajv, slugValidator }                     = require('./validation');
+const { SitemapError, ValidationError }          = require('./errors');
+const { isLastmodStrategy, resolveRouteLastmod } = require('./lastmod');
+const { applyManifest }                          = require('./manifest');
+
+const {
+	recordRoute,
+	recordRouteURL,
+	recordURL,
+	recordFile,
+} = require('./report');
+
+// News sitemaps can only contain up to 1,000 articles published in the last 48 hours
+const NEWS_MAX_NB_URLS = 1000;
+const NEWS_MAX_AGE     = 48 * 60 * 60 * 1000;
+
+// Extensions of the sitemap protocol, indexed by the corresponding URL property
+const URL_EXTENSIONS = {
+	images: { prefix: 'image', namespace: 'http://www.google.com/schemas/sitemap-image/1.1', generateTags: generateImageTags },
+	videos: { prefix: 'video', namespace: 'http://www.google.com/schemas/sitemap-video/1.1', generateTags: generateVideoTags },
+
+	alternates: { prefix: 'xhtml', namespace: 'http://www.w3.org/1999/xhtml', generateTags: generateAlternateTags },
+};
+
+// Output formats of the sitemaps, indexed by their file extension
+const FORMATS = {
+	xml:  { generateHeader: generateSitemapXMLHeader, generateFooter: generateSitemapXMLFooter, generateURL: generateURLTag,  separator: ''  },
+	txt:  { generateHeader: () => '',                 generateFooter: () => '',                 generateURL: generateURLText, separator: ''  },
+	json: { generateHeader: () => '[',                generateFooter: () => '\n]',              generateURL: generateURLJSON, separator: ',' },
+};
 
-const MAX_NB_URLS = 50000;
+/**
+ * Generate one or more sitemaps in each format, and an accompanying sitemap index if needed
+ * Return an object of text blobs to save to different files ([filename]: [contents]),
+ * where the names of the XML sitemaps have no extension and the ones of the other formats do
+ * (in incremental mode, the manifest of the generation is updated along the way, and so is the report if one is given)
+ */
+async function generateSitemaps(options, manifest = undefined, report = undefined)
+{
+	const urls = [];
+	for await (const url of generateURLs(options, manifest, report))
+		urls.push(url);
+
+	let blobs = {};
+
+	// Generate the news sitemap
+	if (options.news)
+	{
+		blobs[getNewsSitemapFilename(options)] = generateNewsSitemapXML(urls, options);
+		recordFile(report, [`${getNewsSitemapFilename(options)}.xml`], selectNewsArticles(urls).length);
+	}
+
+	for (const format of options.formats)
+	{
+		const { sitemaps, filenames } = splitSitemaps(urls, format, options);
+
+		// Generate a single sitemap index for all the groups
+		if (format == 'xml' && isSitemapIndexNeeded(sitemaps.length, options))
+		{
+			blobs[getSitemapIndexFilename(options)] = await generateSitemapIndexXML(sitemaps.map((sitemap, index) => ({ filename: filenames[index], lastmod: sitemap.lastmod })), options);
+			recordFile(report, [`${getSitemapIndexFilename(options)}.xml`], sitemaps.length + (options.externalSitemaps || []).length);
+		}
+
+		// Generate the sitemaps
+		sitemaps.forEach(function(sitemap, index)
+		{
+			const { generateHeader, generateFooter, separator } = FORMATS[format];
+
+			blobs[(format == 'xml') ? filenames[index] : `${filenames[index]}.${format}`] = generateHeader(sitemap.extensions) + sitemap.tags.join(separator) + generateFooter();
+			recordFile(report, [`${filenames[index]}.${format}`], sitemap.tags.length);
+		});
+	}
+
+	return blobs;
+}
 
 /**
- * Generate one or more sitemaps, and an accompanying sitemap index if needed
- * Return an object of text blobs to save to different files ([filename]: [contents])
+ * Sort the URLs by group, and split each group into several sitemaps
+ * if there are too many URLs in it or if they are too large in the given format
  */
-async function generateSitemaps(options)
+function splitSitemaps(urls, format, options)
 {
-	// If a base URL is specified, make sure it ends with a slash
-	const baseURL = options.baseURL ? `${options.baseURL.replace(/\/+$/, '')}/` : '';
+	const groups = new Map();
+	urls.forEach(function(url)
+	{
+		if (!groups.has(url.group))
+			groups.set(url.group, { sitemaps: [], splitSitemap: createSitemapSplitter(options, format) });
+
+		const { sitemaps, splitSitemap } = groups.get(url.group);
+		const tag                        = FORMATS[format].generateURL(url, options);
+
+		if (splitSitemap(tag) || !sitemaps.length)
+			sitemaps.push({ tags: [], extensions: [], lastmod: undefined });
+
+		const sitemap = sitemaps[sitemaps.length - 1];
+		sitemap.tags.push(tag);
+		sitemap.extensions.push(...getURLExtensions(url));
+		sitemap.lastmod = getLatestLastmod(sitemap.lastmod, url, options);
+	});
 
-	const seen = {};
-	const urls = [...options.urls.map(url => (typeof url == 'string') ? { loc: url } : url), ...await generateURLsFromRoutes(options.routes)]
+	// Always generate at least one sitemap, even if empty
+	if (!groups.size)
+		groups.set(undefined, { sitemaps: [{ tags: [], extensions: [], lastmod: undefined }] });
 
-		// Generate the location of each URL
-		.map(url => ({...url, loc: escapeUrl(baseURL + url.loc.replace(/^\//, '')).replace(/\/$/, '') + (options.trailingSlash ? '/' : '') }))
+	return {
+		sitemaps:  [...groups.values()].flatMap(group => group.sitemaps),
+		filenames: getSitemapsFilenames(new Map([...groups].map(([name, group]) => [name, group.sitemaps.length])), options),
+	};
+}
+
+/**
+ * Create a function to call on each successive URL tag, which returns 'true' if the URL must start a new sitemap
+ * so that each sitemap stays under both the maximum number of URLs and the maximum size
+ */
+function createSitemapSplitter(options, format = 'xml')
+{
+	const { generateHeader, generateFooter, separator } = FORMATS[format];
 
-		// Remove duplicate URLs (handwritten URLs have preference over routes)
-		.filter(url => Object.prototype.hasOwnProperty.call(seen, url.loc) ? false : (seen[url.loc] = true));
+	// Size of the markup surrounding the URLs (with the namespaces of every extension declared)
+	const overhead = Buffer.byteLength(generateHeader(Object.keys(URL_EXTENSIONS)) + generateFooter());
 
-	let blobs    = {};
-	let sitemaps = [urls];
+	let nbURLs = 0;
+	let size   = overhead;
 
-	// If there is more than 50,000 URLs, split them into several sitemaps
-	if (urls.length > MAX_NB_URLS)
+	return function(tag)
 	{
-		sitemaps = [];
-		const nb_sitemaps = Math.ceil(urls.length / MAX_NB_URLS);
+		const tagSize = Buffer.byteLength(separator + tag);
+		if (overhead + tagSize > options.maxBytesPerSitemap)
+			throwError(`the following URL is too large to fit in a sitemap of ${options.maxBytesPerSitemap} bytes: ${tag.trim()}`);
 
-		// Split the URLs into batches of 50,000
-		for (let i=0; i<nb_sitemaps; i++)
-			sitemaps.push(urls.slice(i*MAX_NB_URLS, (i+1)*MAX_NB_URLS));
+		const isFull = nbURLs > 0 && (nbURLs + 1 > options.maxUrlsPerSitemap || size + tagSize > options.maxBytesPerSitemap);
+		if (isFull)
+		{
+			nbURLs = 0;
+			size   = overhead;
+		}
 
-		// Generate the sitemap index
-		blobs['sitemap-index'] = await generateSitemapIndexXML(nb_sitemaps, options);
+		nbURLs++;
+		size += tagSize;
+
+		return isFull;
 	}
+}
 
-	// Generate the sitemaps
-	await Promise.all(sitemaps.map(async function(urls, index, sitemaps)
+/**
+ * Generate every URL of the sitemap one at a time, as they are produced by the routes
+ * Yield the URLs with their full location, without any duplicate (handwritten URLs have preference over routes)
+ */
+async function* generateURLs(options, manifest = undefined, report = undefined)
+{
+	// Routes which generated the locations already seen (nothing for the handwritten URLs)
+	const seen = new Map();
+
+	for await (let url of generateRawURLs(options, report))
 	{
-		const filename  = (sitemaps.length > 1)
-		                ? `sitemap-part-${(index + 1).toString().padStart(sitemaps.length.toString().length, '0')}`
-		                : 'sitemap'
+		const route = report ? report.origins.get(url) : undefined;
 
-		blobs[filename] = generateSitemapXML(urls, options);
-	}));
+		// Generate the location of the URL and of its alternates
+		url = { ...url, loc: generateLoc(url.loc, options) };
+		if (url.alternates)
+			url.alternates = url.alternates.map(alternate => ({ ...alternate, href: generateLoc(alternate.href, options) }));
 
-	return blobs;
+		const isDuplicate = seen.has(url.loc);
+		recordURL(report, route, seen.get(url.loc), isDuplicate);
+
+		if (isDuplicate) continue;
+		seen.set(url.loc, route);
+
+		// Keep the modification date of the previous generation if the content of the URL hasn't changed
+		// (the default date is handled like the date of the generation, since it isn't specific to the URL)
+		if (manifest)
+			url = applyManifest(url, manifest, ('lastmod' in url) ? undefined : getMetaTagValue(url, 'lastmod', options));
+
+		yield url;
+	}
 }
 
-async function generateSitemapIndexXML(nbSitemaps, options)
+async function* generateRawURLs(options, report = undefined)
 {
-	const sitemaps = [...new Array(nbSitemaps).keys()]
-		.map(function(index)
-		{
-			const filename = `sitemap-part-${(index + 1).toString().padStart(nbSitemaps.toString().length, '0')}.xml`;
+	const groups = Object.entries(options.sitemaps || {});
+	const toURL  = url => (typeof url == 'string') ? { loc: url } : url;
 
-			return '\t<sitemap>\n'
-			     +     `\t\t<loc>${options.baseURL.replace(/\/$/, '')}/${filename}</loc>\n`
-			     + '\t</sitemap>\n'
-		});
+	yield* options.urls.map(toURL);
+	for (const [group, sitemap] of groups)
+		yield* sitemap.urls.map(url => ({ ...toURL(url), group }));
+
+	yield* generateURLsFromRoutes(options.routes, options, '', {}, report);
+	for (const [group, sitemap] of groups)
+		yield* generateURLsFromRoutes(sitemap.routes, options, '', { group }, report);
+}
+
+/**
+ * Return the names of all the sitemaps given the number of sitemaps in each group ([group]: [number of sitemaps])
+ */
+function getSitemapsFilenames(groups, options)
+{
+	const filenames = [...groups].flatMap(([group, nbSitemaps]) => [...new Array(nbSitemaps).keys()].map(index => getSitemapFilename(index, nbSitemaps, options, group)));
+
+	// Check that the names don't collide with each other or with the index and the news sitemap
+	const reserved  = [getSitemapIndexFilename(options), getNewsSitemapFilename(options)];
+	const duplicate = filenames.find((filename, index) => filenames.indexOf(filename) != index || reserved.includes(filename));
+	if (duplicate)
+		throwError(`several sitemaps are named '${duplicate}'`);
+
+	return filenames;
+}
+
+/**
+ * Return the name of a sitemap (without the extension) given its index, the total number of sitemaps and its group
+ */
+function getSitemapFilename(index, nbSitemaps, options, group)
+{
+	// Use the template function if one is provided
+	if (typeof options.filename == 'function')
+	{
+		const filename = options.filename(index + 1, nbSitemaps, group);
+		if (typeof filename != 'string' || !filename.length)
+			throwError(`the 'filename' function must return a non-empty string (got '${filename}')`);
+
+		return filename.replace(/\.xml$/, '');
+	}
+
+	const filename = group ? `${options.filename}-${group}` : options.filename;
+
+	return (nbSitemaps > 1) ? `${filename}-part-${(index + 1).toString().padStart(nbSitemaps.toString().length, '0')}` : filename;
+}
+
+function getSitemapIndexFilename(options)
+{
+	return options.indexFilename || `${getBaseFilename(options)}-index`;
+}
+
+function getNewsSitemapFilename(options)
+{
+	return `${getBaseFilename(options)}-news`;
+}
+
+/**
+ * Return the name from which the names of the other sitemaps are derived
+ */
+function getBaseFilename(options)
+{
+	return (typeof options.filename == 'string') ? options.filename : 'sitemap';
+}
+
+/**
+ * Return 'true' if a sitemap index must be generated alongside the sitemaps
+ */
+function isSitemapIndexNeeded(nbSitemaps, options)
+{
+	return nbSitemaps > 1 || options.alwaysIndex || (options.externalSitemaps && options.externalSitemaps.length > 0);
+}
+
+/**
+ * Return the absolute URL of a XML sitemap given its name (without the extension)
+ */
+function getSitemapURL(filename, options)
+{
+	return options.baseURL.replace(/\/+$/, '') + prefixPublicPath(`/${filename}.xml${options.gzip ? '.gz' : ''}`, options);
+}
+
+/**
+ * Generate a sitemap index from a list of sitemaps ({ filename, lastmod }) and the external sitemaps
+ */
+async function generateSitemapIndexXML(sitemaps, options)
+{
+	const externalSitemaps = (options.externalSitemaps || []).map(sitemap => (typeof sitemap == 'string') ? { loc: sitemap } : sitemap);
+
+	const tags = [
+		...sitemaps.map(sitemap => ({ loc: getSitemapURL(sitemap.filename, options), lastmod: sitemap.lastmod })),
+		...externalSitemaps.map(sitemap => ({ ...sitemap, loc: escapeUrl(sitemap.loc) })),
+	]
+	.map(function(sitemap)
+	{
+		return '\t<sitemap>\n'
+		     +     `\t\t<loc>${sitemap.loc}</loc>\n`
+		     +     (sitemap.lastmod ? `\t\t<lastmod>${sitemap.lastmod}</lastmod>\n` : '')
+		     + '\t</sitemap>\n'
+	});
 
 	return '<?xml version="1.0" encoding="UTF-8"?>\n'
 	     + '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n'
-	     +     sitemaps.join('')
+	     +     tags.join('')
 	     + '</sitemapindex>';
 }
 
-function generateSitemapXML(urls, options)
+/**
+ * Return the most recent date between a modification date and the one of an URL
+ */
+function getLatestLastmod(lastmod, url, options)
+{
+	const urlLastmod = getMetaTagValue(url, 'lastmod', options);
+
+	if (urlLastmod === undefined) return lastmod;
+	if (lastmod    === undefined) return urlLastmod;
+
+	return (new Date(urlLastmod) > new Date(lastmod)) ? urlLastmod : lastmod;
+}
+
+function generateSitemapXMLHeader(extensions)
+{
+	// Only declare the namespaces of the extensions actually used in the sitemap
+	const namespaces = Object.keys(URL_EXTENSIONS)
+		.filter(extension => extensions.includes(extension))
+		.map(extension => ` xmlns:${URL_EXTENSIONS[extension].prefix}="${URL_EXTENSIONS[extension].namespace}"`);
+
+	return '<?xml version="1.0" encoding="UTF-8"?>\n'
+	     + `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"${namespaces.join('')}>\n`;
+}
+
+function generateSitemapXMLFooter()
+{
+	return '</urlset>';
+}
+
+/**
+ * Return the list of the extensions of the sitemap protocol used by an URL
+ */
+function getURLExtensions(url)
+{
+	return Object.keys(URL_EXTENSIONS).filter(extension => url[extension] && url[extension].length);
+}
+
+function generateNewsSitemapXML(urls, options)
 {
 	return '<?xml version="1.0" encoding="UTF-8"?>\n'
-	     + '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n'
-	     +     `${urls.map(url => generateURLTag(url, options)).join('')}`
+	     + '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:news="http://www.google.com/schemas/sitemap-news/0.9">\n'
+	     +     `${selectNewsArticles(urls).map(url => generateNewsURLTag(url, options)).join('')}`
 	     + '</urlset>';
 }
 
+/**
+ * Select the articles to include in the news sitemap among a list of URLs
+ */
+function selectNewsArticles(urls)
+{
+	const cutoff = Date.now() - NEWS_MAX_AGE;
+
+	return urls
+		// Remove the URLs which are not articles or are too old
+		.filter(url => url.news && new Date(url.news.publication_date).getTime() >= cutoff)
+
+		// Keep only the most recent articles
+		.sort((url1, url2) => new Date(url2.news.publication_date) - new Date(url1.news.publication_date))
+		.slice(0, NEWS_MAX_NB_URLS);
+}
+
+function generateNewsURLTag(url, options)
+{
+	const publication = { ...options.news, ...url.news };
+
+	return '\t<url>\n'
+	     +     `\t\t<loc>${url.loc}</loc>\n`
+	     +     '\t\t<news:news>\n'
+	     +         '\t\t\t<news:publication>\n'
+	     +             `\t\t\t\t<news:name>${escapeXML(publication.name)}</news:name>\n`
+	     +             `\t\t\t\t<news:language>${publication.language}</news:language>\n`
+	     +         '\t\t\t</news:publication>\n'
+	     +         `\t\t\t<news:publication_date>${publication.publication_date}</news:publication_date>\n`
+	     +         `\t\t\t<news:title>${escapeXML(publication.title)}</news:title>\n`
+	     +     '\t\t</news:news>\n'
+	     + '\t</url>\n';
+}
+
 function generateURLTag(url, options)
 {
 	// Create a tag for each meta property
 	const metaTags = ['lastmod', 'changefreq', 'priority'].map(function(tag)
 	{
-		if (tag in url == false && tag in options.defaults == false)
+		let value = getMetaTagValue(url, tag, options);
+		if (value === undefined)
 			return '';
 
-		let value = (tag in url) ? url[tag] : options.defaults[tag];
-
 		// Fix the bug of whole-number priorities
 		if (tag == 'priority')
 		{
@@ -101,76 +386,461 @@ function generateURLTag(url, options)
 		return `\t\t<${tag}>${value}</${tag}>\n`;
 	});
 
-	return `\t<url>\n\t\t<loc>${url.loc}</loc>\n${metaTags.join('')}\t</url>\n`;
+	// Create the tags of the extensions
+	const extensionsTags = Object.keys(URL_EXTENSIONS)
+		.filter(extension => extension in url)
+		.map(extension => URL_EXTENSIONS[extension].generateTags(url[extension]));
+
+	return `\t<url>\n\t\t<loc>${url.loc}</loc>\n${metaTags.join('')}${extensionsTags.join('')}\t</url>\n`;
 }
 
-function escapeUrl(url)
+/**
+ * Return the value of a property of an URL, or its default value
+ * (the default modification date is ignored if it's a strategy, which only applies to routes)
+ */
+function getMetaTagValue(url, tag, options)
 {
-	return encodeURI(url)
-		.replace('&',  '&amp;')
-		.replace("'", '&apos;')
-		.replace('"', '&quot;')
-		.replace('<',   '&lt;')
-		.replace('>',   '&gt;');
+	if (tag in url) return url[tag];
+
+	return (tag == 'lastmod' && isLastmodStrategy(options.defaults.lastmod)) ? undefined : options.defaults[tag];
 }
 
-async function generateURLsFromRoutes(routes)
+function generateURLText(url)
 {
-	const urls = await Promise.all(routes.map(async function(route)
+	return `${decodeXMLEntities(url.loc)}\n`;
+}
+
+function generateURLJSON(url, options)
+{
+	// Only keep the properties of the URL which are part of the sitemap
+	const properties = ['loc', 'lastmod', 'changefreq', 'priority', ...Object.keys(URL_EXTENSIONS), 'news'];
+	const entry      = properties
+		.filter(property => getMetaTagValue(url, property, options) !== undefined)
+		.reduce((entry, property) => ({ ...entry, [property]: getMetaTagValue(url, property, options) }), {});
+
+	entry.loc = decodeXMLEntities(entry.loc);
+	if (entry.alternates)
+		entry.alternates = entry.alternates.map(alternate => ({ ...alternate, href: decodeXMLEntities(alternate.href) }));
+
+	return `\n\t${JSON.stringify(entry)}`;
+}
+
+function generateImageTags(images)
+{
+	return images.map(function(image)
 	{
-		const path   = route.path.replace(/^\/+/, '');
-		const meta   = route.meta ? (route.meta.sitemap || {}) : {};
-		const params = path.match(/:\w+/g);
+		const tags = ['loc', 'caption', 'geo_location', 'title', 'license']
+			.filter(tag => tag in image)
+			.map(tag => `\t\t\t<image:${tag}>${['loc', 'license'].includes(tag) ? escapeUrl(image[tag]) : escapeXML(image[tag])}</image:${tag}>\n`);
 
-		if (meta.ignoreRoute || route.path === '*') return null;
+		return `\t\t<image:image>\n${tags.join('')}\t\t</image:image>\n`;
+	}).join('');
+}
 
-		/**
-		 * Static routes
-		 */
-		if ('loc' in meta) return meta;
-		if (!params)       return { loc: path, ...meta };
+function generateVideoTags(videos)
+{
+	return videos.map(function(video)
+	{
+		const tags = [
+			'thumbnail_loc', 'title', 'description', 'content_loc', 'player_loc', 'duration', 'expiration_date', 'rating', 'view_count',
+			'publication_date', 'family_friendly', 'restriction', 'platform', 'requires_subscription', 'uploader', 'live', 'tags',
+		]
+		.filter(tag => tag in video)
+		.map(function(tag)
+		{
+			const value = video[tag];
+
+			switch (tag)
+			{
+				case 'thumbnail_loc':
+				case 'content_loc':
+				case 'player_loc':
+					return `\t\t\t<video:${tag}>${escapeUrl(value)}</video:${tag}>\n`;
+
+				case 'family_friendly':
+				case 'requires_subscription':
+				case 'live':
+					return `\t\t\t<video:${tag}>${value ? 'yes' : 'no'}</video:${tag}>\n`;
+
+				case 'restriction':
+					return `\t\t\t<video:restriction relationship="${value.relationship}">${value.countries.join(' ')}</video:restriction>\n`;
+
+				case 'platform':
+					return `\t\t\t<video:platform relationship="${value.relationship}">${value.platforms.join(' ')}</video:platform>\n`;
+
+				case 'uploader':
+					return `\t\t\t<video:uploader${'info' in value ? ` info="${escapeUrl(value.info)}"` : ''}>${escapeXML(value.name)}</video:uploader>\n`;
+
+				case 'tags':
+					return value.map(videoTag => `\t\t\t<video:tag>${escapeXML(videoTag)}</video:tag>\n`).join('');
+
+				default:
+					return `\t\t\t<video:${tag}>${escapeXML(value)}</video:${tag}>\n`;
+			}
+		});
+
+		return `\t\t<video:video>\n${tags.join('')}\t\t</video:video>\n`;
+	}).join('');
+}
+
+function generateAlternateTags(alternates)
+{
+	return alternates.map(alternate => `\t\t<xhtml:link rel="alternate" hreflang="${alternate.hreflang}" href="${alternate.href}"/>\n`).join('');
+}
+
+/**
+ * Generate the full and escaped location of an URL from its path
+ */
+function generateLoc(path, options)
+{
+	// If a base URL is specified, make sure it ends with a slash
+	const baseURL = options.baseURL ? `${options.baseURL.replace(/\/+$/, '')}/` : '';
+
+	// Don't prefix the locations which are already full URLs (e.g. localized URLs with a subdomain)
+	const url = /^https?:\/\//.test(path) ? path : baseURL + path.replace(/^\//, '');
+
+	// Enforce the trailing slash policy before the query string and the fragment
+	const [, location, query] = url.match(/^([^?#]*)(.*)$/);
+
+	return escapeUrl(location.replace(/\/$/, '') + (options.trailingSlash ? '/' : '') + query);
+}
+
+function escapeUrl(url)
+{
+	return encodeURI(url)
+		.replace(/&/g, '&amp;')
+		.replace(/'/g, '&apos;')
+		.replace(/"/g, '&quot;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;');
+}
+
+/**
+ * Revert the escaping of the XML entities of an escaped URL (for the formats other than XML)
+ */
+function decodeXMLEntities(url)
+{
+	return url
+		.replace(/&apos;/g, "'")
+		.replace(/&quot;/g, '"')
+		.replace(/&lt;/g,   '<')
+		.replace(/&gt;/g,   '>')
+		.replace(/&amp;/g,  '&');
+}
 
-		/**
-		 * Dynamic routes
-		 */
-		if (!meta.slugs) throwError(`need slugs to generate URLs from dynamic route '${route.path}'`);
+function escapeXML(text)
+{
+	return `${text}`
+		.replace(/&/g, '&amp;')
+		.replace(/'/g, '&apos;')
+		.replace(/"/g, '&quot;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;');
+}
 
-		let slugs = await (typeof meta.slugs == 'function' ? meta.slugs.call() : meta.slugs);
-		if (!slugsValidator(slugs))
-			throwError(ajv.errorsText(slugsValidator.errors).replace(/^data/, 'slugs'));
+async function* generateURLsFromRoutes(routes, options, parentPath = '', parentMeta = {}, report = undefined)
+{
+	for (const route of routes)
+	{
+		const path   = resolveRoutePath(route, parentPath);
+		const meta   = inheritMeta(parentMeta, route.meta ? (route.meta.sitemap || {}) : {});
+		const tokens = parseRoutePath(path);
 
-		// Build the array of URLs
-		return slugs.map(function(slug)
+		if (meta.ignoreRoute || isCatchAllRoute(route, tokens, meta))
 		{
-			// Wrap the slug in an object if needed
-			if (typeof slug != 'object') slug = { [params[0].slice(1)]: slug };
+			recordRoute(report, path, meta, meta.ignoreRoute ? 'ignored' : 'catch-all');
+		}
+		else
+		{
+			// Generate the URLs of the route itself, with a version of each URL for every locale
+			const isExpanded = !('loc' in meta) && meta.slugs && tokens.some(token => typeof token == 'object');
+			const entry      = recordRoute(report, path, meta, isExpanded ? 'expanded' : 'static');
 
-			// Replace each parameter by its corresponding value
-			let urlPath = path;
-			params.forEach(function(param)
+			for await (const url of generateURLsFromRoute(route, tokens, await resolveRouteLastmod(route, meta, options)))
 			{
-				const paramName = param.slice(1);
+				if (entry && isExpanded) entry.slugs++;
+
+				for (const localizedURL of (options.locales ? localizeURL(url, options) : [{ ...url, loc: prefixPublicPath(url.loc, options) }]))
+					yield recordRouteURL(report, entry, localizedURL);
+			}
+		}
+
+		// Then generate the URLs of its children
+		if (route.children)
+			yield* generateURLsFromRoutes(route.children, options, path, meta, report);
+	}
+}
+
+/**
+ * Return the paths of the routes ignored with 'ignoreRoute', with their parameters replaced by wildcards
+ */
+function getIgnoredRoutesPaths(routes, parentPath = '', parentMeta = {})
+{
+	return routes.flatMap(function(route)
+	{
+		const path = resolveRoutePath(route, parentPath);
+		const meta = inheritMeta(parentMeta, route.meta ? (route.meta.sitemap || {}) : {});
+
+		// Stop at the first optional parameter, since the rest of the path may be missing
+		const tokens = parseRoutePath(path);
+		const end    = tokens.findIndex(token => typeof token == 'object' && token.optional);
+
+		const pattern = `/${tokens.slice(0, (end == -1) ? tokens.length : end)
+			.map(token => (typeof token == 'string') ? token : `${token.prefix}*`)
+			.join('')}`.replace(/\*$/, '');
+
+		// Don't disallow the whole website because of an ignored catch-all route
+		const isDisallowed = meta.ignoreRoute && !(pattern == '/' && isCatchAllRoute(route, tokens, meta));
+
+		return [
+			...(isDisallowed ? [pattern] : []),
+			...(route.children ? getIgnoredRoutesPaths(route.children, path, meta) : []),
+		];
+	});
+}
+
+/**
+ * Check if a route is a catch-all route, i.e. either '*' or a route with a wildcard or a parameter matching anything
+ * (e.g. '/docs/*' with vue-router 3 or '/docs/:pathMatch(.*)*' with vue-router 4), unless it has a handwritten URL or slugs
+ */
+function isCatchAllRoute(route, tokens, meta)
+{
+	if (route.path === '*') return true;
+
+	return !('loc' in meta) && !meta.slugs && tokens.some(token => typeof token == 'object' && token.pattern == '.*');
+}
+
+/**
+ * Resolve the path of a route (without the leading slash), relatively to the path of its parent if needed
+ */
+function resolveRoutePath(route, parentPath)
+{
+	return (route.path.startsWith('/') ? route.path : `${parentPath.replace(/\/+$/, '')}/${route.path}`).replace(/^\/+/, '');
+}
+
+async function* generateURLsFromRoute(route, tokens, meta)
+{
+	const params = tokens.filter(token => typeof token == 'object');
+
+	/**
+	 * Static routes (and dynamic routes without slugs whose parameters are all optional)
+	 */
+	if ('loc' in meta)
+	{
+		yield meta;
+		return;
+	}
+	if (!params.length || (!meta.slugs && params.every(param => param.optional)))
+	{
+		yield { loc: compileRoutePath(route, tokens, {}), ...meta };
+		return;
+	}
+
+	/**
+	 * Dynamic routes
+	 */
+	if (!meta.slugs) throwError(`need slugs to generate URLs from dynamic route '${route.path}'`);
+
+	// The slugs can be provided as an array or any (async) iterable, or by a (async) function returning one
+	const slugs = await (typeof meta.slugs == 'function' ? meta.slugs.call() : meta.slugs);
+	if (!slugs || (typeof slugs[Symbol.iterator] != 'function' && typeof slugs[Symbol.asyncIterator] != 'function'))
+		throwError(`slugs of route '${route.path}' should be an array or an iterable`);
+
+	// Generate an URL for each slug
+	let index = 0;
+	for await (let slug of slugs)
+	{
+		if (!slugValidator(slug))
+			throw new ValidationError(ajv.errorsText(slugValidator.errors).replace(/^data/, `slugs[${index}]`), slugValidator.errors);
+		index++;
 
-				if (paramName in slug === false)
-					throwError(`need slug for param '${paramName}' of route '${route.path}'`);
+		// Wrap the slug in an object if needed
+		if (typeof slug != 'object') slug = { [params[0].name]: slug };
 
-				urlPath = urlPath.replace(param, slug[paramName]);
-			});
+		// Slug-specific properties take precedence over the ones of the route
+		yield { loc: compileRoutePath(route, tokens, slug), ...meta, ...slug };
+	}
+}
 
-			return { loc: urlPath, ...slug };
+/**
+ * Parse the path of a route into an array of static strings and parameters,
+ * following the syntax of 'path-to-regexp' used by vue-router:
+ *
+ *    :param         named parameter
+ *    :param(regex)  named parameter constrained by a regex
+ *    (regex)        unnamed parameter (named after its index)
+ *    :param?        optional parameter
+ *    :param+        repeatable parameter (one or more segments)
+ *    :param*        optional and repeatable parameter (zero or more segments)
+ *    *              wildcard (named 'pathMatch', like in vue-router)
+ */
+function parseRoutePath(path)
+{
+	const pathRegex = /(\\.)|([/.])?(?:(?::(\w+)(?:\(((?:\\.|[^\\()])+)\))?|\(((?:\\.|[^\\()])+)\))([+*?])?|(\*))/g;
+
+	const tokens = [];
+	let text     = '';
+	let index    = 0;
+	let key      = 0;
+	let match;
+
+	while ((match = pathRegex.exec(path)) !== null)
+	{
+		const [matched, escaped, prefix, name, capture, group, modifier, asterisk] = match;
+
+		text  += path.slice(index, match.index);
+		index  = match.index + matched.length;
+
+		// Keep the escaped characters as is
+		if (escaped)
+		{
+			text += escaped[1];
+			continue;
+		}
+
+		if (text) tokens.push(text);
+		text = '';
+
+		tokens.push({
+			name:        name || (asterisk ? 'pathMatch' : `${key++}`),
+			prefix:      prefix || '',
+			delimiter:   prefix || '/',
+			pattern:     capture || group || (asterisk ? '.*' : null),
+			optional:    modifier == '?' || modifier == '*',
+			repeatable:  modifier == '+' || modifier == '*',
 		});
-	}));
+	}
+
+	text += path.slice(index);
+	if (text) tokens.push(text);
+
+	return tokens;
+}
+
+/**
+ * Build the path of a route by replacing each of its parameters with its corresponding value in a slug
+ */
+function compileRoutePath(route, tokens, slug)
+{
+	return tokens.map(function(token)
+	{
+		if (typeof token == 'string') return token;
+
+		const value = slug[token.name];
+		if (value === undefined || (Array.isArray(value) && !value.length))
+		{
+			if (token.optional) return '';
 
-	// Filter and flatten the array before returning it
-	return urls.filter(url => url !== null).flat();
+			throwError(`need slug for param '${token.name}' of route '${route.path}'`);
+		}
+
+		if (Array.isArray(value) && !token.repeatable)
+			throwError(`param '${token.name}' of route '${route.path}' is not repeatable and cannot take an array of values`);
+
+		// Check that each value matches the regex of the parameter
+		const segments = Array.isArray(value) ? value : [value];
+		if (token.pattern)
+		{
+			const paramRegex = new RegExp(`^(?:${token.pattern})$`);
+			segments
+				.filter(segment => !paramRegex.test(segment))
+				.forEach(segment => throwError(`slug '${segment}' doesn't match the pattern of param '${token.name}' of route '${route.path}'`));
+		}
+
+		return token.prefix + segments.join(token.delimiter);
+	}).join('');
+}
+
+/**
+ * Generate a version of an URL for each locale, with all the versions linked together as alternates
+ */
+function localizeURL(url, options)
+{
+	const { languages, defaultLanguage = languages[0] } = options.locales;
+
+	if (!languages.includes(defaultLanguage))
+		throwError(`the default language '${defaultLanguage}' is not one of the languages of the 'locales' option`);
+
+	const locs       = languages.reduce((locs, language) => ({ ...locs, [language]: localizeLoc(url.loc, language, options) }), {});
+	const alternates = [
+		...languages.map(language => ({ hreflang: language, href: locs[language] })),
+		{ hreflang: 'x-default', href: locs[defaultLanguage] },
+		...(url.alternates || []),
+	];
+
+	return languages.map(language => ({ ...url, loc: locs[language], alternates }));
+}
+
+function localizeLoc(loc, language, options)
+{
+	const { strategy, queryParam } = options.locales;
+
+	switch (strategy)
+	{
+		case 'subdomain':
+			return `${options.baseURL.replace(/^(https?:\/\/)/, `$1${language}.`).replace(/\/+$/, '')}/${prefixPublicPath(loc, options).replace(/^\//, '')}`;
+
+		case 'query':
+			return `${prefixPublicPath(loc, options)}${loc.includes('?') ? '&' : '?'}${queryParam}=${language}`;
+
+		default:
+			return prefixPublicPath(`${language}/${loc.replace(/^\//, '')}`, options);
+	}
+}
+
+/**
+ * Prefix a path with the public path of the app (if any)
+ */
+function prefixPublicPath(path, options)
+{
+	if (!options.publicPath || /^https?:\/\//.test(path)) return path;
+
+	return `${options.publicPath.replace(/\/+$/, '')}/${path.replace(/^\//, '')}`;
+}
+
+/**
+ * Merge the sitemap meta of a route with the one inherited from its parent
+ * (the location, the source file, the content hash and the extensions of the parent
+ * describe its own page and are never inherited)
+ */
+function inheritMeta(parentMeta, meta)
+{
+	const ownMeta       = ['loc', 'source', 'contentHash', 'news', ...Object.keys(URL_EXTENSIONS)];
+	const inheritedMeta = Object.keys(parentMeta)
+		.filter(key => !ownMeta.includes(key))
+		.reduce((inherited, key) => ({ ...inherited, [key]: parentMeta[key] }), {});
+
+	return { ...inheritedMeta, ...meta };
 }
 
 function throwError(message)
 {
-	throw new Error(`[vue-cli-plugin-sitemap]: ${message}`);
+	throw new SitemapError(message);
 }
 
 module.exports = {
+	NEWS_MAX_NB_URLS,
+	URL_EXTENSIONS,
+	FORMATS,
+
 	throwError,
+	generateURLs,
 	generateSitemaps,
+	createSitemapSplitter,
+	getSitemapsFilenames,
+	isSitemapIndexNeeded,
+	getSitemapFilename,
+	getSitemapIndexFilename,
+	getNewsSitemapFilename,
+	selectNewsArticles,
+	generateURLTag,
+	generateSitemapXMLHeader,
+	generateSitemapXMLFooter,
+	generateSitemapIndexXML,
+	generateNewsSitemapXML,
+	getURLExtensions,
+	getLatestLastmod,
+	getIgnoredRoutesPaths,
+	getSitemapURL,
+	prefixPublicPath,
 }
@@ -3,7 +3,8 @@
  * src/validation.js
  */
 
-const AJV = require('ajv');
+const AJV                 = require('ajv');
+const { ValidationError } = require('./errors');
 
 /**
  * Regex to check that the date follows the W3C format
@@ -46,6 +47,14 @@ const urlLocSchemas = {
 	'withoutBaseURL': { allOf: [{ format: 'uri' }, { pattern: '^https?:\\/\\/' }] },
 }
 
+/**
+ * Return the schema of a list of URLs whose locations follow the given schema
+ */
+function urlsLocSchema(type)
+{
+	return { items: { ...urlLocSchemas[type], properties: { loc: urlLocSchemas[type] } } };
+}
+
 const urlMetaTagsSchema = {
 	lastmod: {
 		type:        ['object', 'string', 'number'],
@@ -63,18 +72,177 @@ const urlMetaTagsSchema = {
 	},
 }
 
+// The modification date of a route can also be read from its source file
+const routeLastmodSchema = {
+	anyOf: [
+		{ type: 'string', enum: ['git', 'mtime'] },
+		urlMetaTagsSchema.lastmod,
+	],
+}
+
+// Infos about the publication of news articles
+const newsPublicationSchema = {
+	name:      { type: 'string', minLength: 1 },
+	// ISO 639 language code (or 'zh-cn' and 'zh-tw' for Chinese)
+	language:  { type: 'string', pattern: '^(?:[a-z]{2,3}|zh-cn|zh-tw)$' },
+}
+
+// Names of files, without any path separator
+const filenamePattern = '^[^\\/\\\\]+$';
+
+// Language codes (with an optional region) used to identify the alternate versions of an URL
+const hreflangPattern = '^[a-zA-Z]{2,3}(?:-[a-zA-Z0-9]{2,8})*$';
+
+// Extensions of the sitemap protocol, which can be added to URLs, routes and slugs
+const urlExtensionsSchema = {
+	alternates: {
+		type:  'array',
+		items: {
+			type: 'object',
+
+			properties: {
+				hreflang:  { type: 'string', anyOf: [{ pattern: hreflangPattern }, { const: 'x-default' }] },
+				href:      { type: 'string' },
+			},
+			required: ['hreflang', 'href'],
+			additionalProperties: false,
+		},
+	},
+	images: {
+		type:  'array',
+		items: {
+			type: 'object',
+
+			properties: {
+				loc:          { type: 'string', format: 'uri' },
+				caption:      { type: 'string'                },
+				geo_location: { type: 'string'                },
+				title:        { type: 'string'                },
+				license:      { type: 'string', format: 'uri' },
+			},
+			required: ['loc'],
+			additionalProperties: false,
+		},
+	},
+	videos: {
+		type:  'array',
+		items: {
+			type: 'object',
+
+			properties: {
+				thumbnail_loc:         { type: 'string', format: 'uri'                   },
+				title:                 { type: 'string', minLength: 1                    },
+				description:           { type: 'string', minLength: 1, maxLength: 2048   },
+				content_loc:           { type: 'string', format: 'uri'                   },
+				player_loc:            { type: 'string', format: 'uri'                   },
+				duration:              { type: 'integer', minimum: 1, maximum: 28800     },
+				expiration_date:       { type: ['object', 'string', 'number'], W3CDate: true },
+				rating:                { type: 'number', minimum: 0.0, maximum: 5.0      },
+				view_count:            { type: 'integer', minimum: 0                     },
+				publication_date:      { type: ['object', 'string', 'number'], W3CDate: true },
+				family_friendly:       { type: 'boolean'                                 },
+				restriction: {
+					type: 'object',
+
+					properties: {
+						relationship:  { type: 'string', enum: ['allow', 'deny'] },
+						// ISO 3166 country codes
+						countries:     { type: 'array', items: { type: 'string', pattern: '^[A-Z]{2}$' } },
+					},
+					required: ['relationship', 'countries'],
+					additionalProperties: false,
+				},
+				platform: {
+					type: 'object',
+
+					properties: {
+						relationship:  { type: 'string', enum: ['allow', 'deny'] },
+						platforms:     { type: 'array', items: { type: 'string', enum: ['web', 'mobile', 'tv'] } },
+					},
+					required: ['relationship', 'platforms'],
+					additionalProperties: false,
+				},
+				requires_subscription: { type: 'boolean'                                 },
+				uploader: {
+					type: 'object',
+
+					properties: {
+						name:          { type: 'string', maxLength: 255 },
+						info:          { type: 'string', format: 'uri'  },
+					},
+					required: ['name'],
+					additionalProperties: false,
+				},
+				live:                  { type: 'boolean'                                 },
+				tags:                  { type: 'array', items: { type: 'string' }, maxItems: 32 },
+			},
+			required: ['thumbnail_loc', 'title', 'description'],
+			// Require at least one of the locations of the video
+			anyOf: [
+				{ required: ['content_loc'] },
+				{ required: ['player_loc']  },
+			],
+			additionalProperties: false,
+		},
+	},
+	news: {
+		type: 'object',
+
+		properties: {
+			title:             { type: 'string', minLength: 1 },
+			publication_date:  { type: ['object', 'string', 'number'], W3CDate: true },
+
+			// Override the publication infos set in the global 'news' option
+			...newsPublicationSchema,
+		},
+		required: ['title', 'publication_date'],
+		additionalProperties: false,
+	},
+}
+
+// Hash of the content of an URL, which changes its modification date in incremental mode
+const urlContentHashSchema = {
+	contentHash: {
+		type: ['string', 'number'],
+	},
+}
+
+// Name of the sitemap in which to put an URL
+const urlGroupSchema = {
+	group: {
+		type:     'string',
+		pattern:  filenamePattern,
+	},
+}
+
+// Regex matching any property that is not a meta info, an extension or the group
+const urlProperties  = [
+	...Object.keys(urlMetaTagsSchema),
+	...Object.keys(urlExtensionsSchema),
+	...Object.keys(urlContentHashSchema),
+	...Object.keys(urlGroupSchema),
+].join('|');
+const slugParamRegex = `^(?!(${urlProperties})$)`;
+
 const slugsItemsSchema = {
 	type: ['object', 'string', 'number'],
 
-	properties: urlMetaTagsSchema,
+	properties: {
+		...urlMetaTagsSchema,
+		...urlExtensionsSchema,
+		...urlContentHashSchema,
+		...urlGroupSchema,
+	},
 	patternProperties: {
 		// Any property that is not a meta info
-		'^(?!(lastmod|changefreq|priority)$).*$': {
-			type: ['string', 'number'],
+		[`${slugParamRegex}.*$`]: {
+			// Arrays of values are accepted for repeatable parameters
+			type:  ['string', 'number', 'array'],
+			items: { type: ['string', 'number'] },
 		}
 	},
-	// Require at least one property that is not a meta info
-	patternRequired: ['^(?!(lastmod|changefreq|priority)$).+$'],
+	// The slugs can have no parameter at all if the ones of the route are optional
+	// (the values of the required parameters are checked when generating the URLs)
 }
 
 /**
@@ -145,7 +313,7 @@ const ajv = new AJV({
 });
 
 // Add extra keywords
-require('ajv-keywords')(ajv, ['typeof', 'instanceof', 'patternRequired']);
+require('ajv-keywords')(ajv, ['typeof', 'instanceof']);
 
 // Add a keyword to validate the dates
 ajv.addKeyword('W3CDate', {
@@ -155,8 +323,15 @@ ajv.addKeyword('W3CDate', {
 	modifying: true,
 });
 
+// Add a keyword to validate the (async) iterables
+ajv.addKeyword('iterable', {
+	validate:  data => data !== null && (typeof data[Symbol.iterator] == 'function' || typeof data[Symbol.asyncIterator] == 'function'),
+	schema:    false,
+});
+
 // Compile the validators
-const slugsValidator   = ajv.compile({ type: 'array', items: slugsItemsSchema });
+const slugValidator    = ajv.compile(slugsItemsSchema);
+const lastmodValidator = ajv.compile({ properties: { lastmod: urlMetaTagsSchema.lastmod } });
 const optionsValidator = ajv.compile({
 	type: 'object',
 
@@ -164,20 +339,101 @@ const optionsValidator = ajv.compile({
 	anyOf: [
 		{ properties: { urls:   { minItems: 1 } } },
 		{ properties: { routes: { minItems: 1 } } },
+		{ properties: { sitemaps: { minProperties: 1 } }, required: ['sitemaps'] },
 	],
 
+	// If some routes are passed (at the top level or in a named sitemap), require the 'baseURL' property
+	allOf: [{
+		if: {
+			anyOf: [
+				{ properties: { routes:   { minItems: 1 } }, required: ['routes'] },
+				{ properties: { sitemaps: { not: { additionalProperties: { not: { properties: { routes: { minItems: 1 } }, required: ['routes'] } } } } }, required: ['sitemaps'] },
+			],
+		},
+		then: { properties: { baseURL: { minLength: 1 } }, required: ['baseURL'] },
+	}],
+
 	// Set the validation schema of the URL location according to the 'baseURL' option:
 	//  - if set, require the locations to be simple strings and NOT resembling URIs
 	//  - if unset, require the locations to be full URIs
 	if:     { properties: { baseURL: { minLength: 1 } } },
-	then:   { properties: { urls: { items: { ...urlLocSchemas['withBaseURL'],    properties: { loc: urlLocSchemas['withBaseURL']    } } } } },
-	else:   { properties: { urls: { items: { ...urlLocSchemas['withoutBaseURL'], properties: { loc: urlLocSchemas['withoutBaseURL'] } } } } },
+	then:   { properties: { urls: urlsLocSchema('withBaseURL'),    sitemaps: { additionalProperties: { properties: { urls: urlsLocSchema('withBaseURL')    } } } } },
+	else:   { properties: { urls: urlsLocSchema('withoutBaseURL'), sitemaps: { additionalProperties: { properties: { urls: urlsLocSchema('withoutBaseURL') } } } } },
 
-	properties: {
+	definitions: {
+		// Route objects can be nested through their 'children' property
+		route: {
+			type: 'object',
 
-		// If some routes are passed, require the 'baseURL' property
-		if:     { properties: { routes:  { minItems:  1 } } },
-		then:   { properties: { baseURL: { minLength: 1 } } },
+			properties: {
+				path: {
+					type: 'string',
+				},
+				meta: {
+					type: 'object',
+
+					properties: {
+						sitemap: {
+							type: 'object',
+
+							properties: {
+								loc: {
+									type: 'string'
+								},
+								// No default value, so that it can be inherited from a parent route
+								ignoreRoute: {
+									type: 'boolean',
+								},
+								// Name of the sitemap in which to put the URLs (also inherited by the children)
+								...urlGroupSchema,
+								// Source file of the route, from which its modification date can be read (default: the file of its component)
+								source: {
+									type:      'string',
+									minLength: 1,
+								},
+								slugs: {
+									anyOf: [
+										{ typeof:      'function'          },
+										{ instanceof: ['Array', 'Promise'] },
+										{ iterable:    true                },
+									],
+
+									items: slugsItemsSchema,
+								},
+								...urlMetaTagsSchema,
+								...urlExtensionsSchema,
+								...urlContentHashSchema,
+								lastmod: routeLastmodSchema,
+							},
+							additionalProperties: false
+						}
+					},
+					additionalProperties: true
+				},
+				children: {
+					type:  'array',
+					items: { $ref: '#/definitions/route' },
+				},
+			},
+			required: ['path'],
+			additionalProperties:  true
+		},
+		url: {
+			type: ['string', 'object'],
+
+			properties: {
+				loc: { type: 'string' },
+				...urlGroupSchema,
+				...urlMetaTagsSchema,
+				...urlExtensionsSchema,
+				...urlContentHashSchema,
+			},
+			required: ['loc'],
+			additionalProperties:  false,
+		},
+	},
+
+	properties: {
 
 		/**
 		 * Global options
@@ -208,6 +464,12 @@ const optionsValidator = ajv.compile({
 				},
 			]
 		},
+		// Path under which the app is served, prefixed to the URLs generated from the routes
+		// and to the locations of the sitemaps (with Vue CLI, 'true' uses the 'publicPath' of the project)
+		publicPath: {
+			type:     'string',
+			pattern:  '^\\/',
+		},
 		trailingSlash: {
 			type:     'boolean',
 			default:  false,
@@ -216,10 +478,161 @@ const optionsValidator = ajv.compile({
 			type:     'boolean',
 			default:  false,
 		},
+		// Name of the sitemaps (without the extension), or a function returning
+		// the name of a sitemap given its index (starting at 1), the number of sitemaps and its group
+		filename: {
+			anyOf: [
+				{ type:   'string', pattern: filenamePattern },
+				{ typeof: 'function'                         },
+			],
+			default: 'sitemap',
+		},
+		// Name of the sitemap index (default: '[filename]-index')
+		indexFilename: {
+			type:     'string',
+			pattern:  filenamePattern,
+		},
+		// Only change the modification dates of the URLs whose content has changed since the previous generation,
+		// by saving a manifest with the hash of each URL next to the sitemaps
+		incremental: {
+			type:     'boolean',
+			default:  false,
+		},
+		// Always generate a sitemap index, even if there is only one sitemap
+		alwaysIndex: {
+			type:     'boolean',
+			default:  false,
+		},
+		// Formats in which to output the sitemaps (the sitemap index and the news sitemap are always in XML)
+		formats: {
+			type:         'array',
+			items:        { enum: ['xml', 'txt', 'json'] },
+			minItems:     1,
+			uniqueItems:  true,
+			default:      ['xml'],
+		},
+		// Sitemaps maintained elsewhere to list in the sitemap index
+		externalSitemaps: {
+			type: 'array',
+
+			items: {
+				...urlLocSchemas['withoutBaseURL'],
+				type: ['string', 'object'],
+
+				properties: {
+					loc:      { type: 'string', ...urlLocSchemas['withoutBaseURL'] },
+					lastmod:  urlMetaTagsSchema.lastmod,
+				},
+				required:              ['loc'],
+				additionalProperties:  false,
+			},
+		},
+		// Compress the sitemaps with gzip
+		// (if set to 'both', also keep the uncompressed sitemaps)
+		gzip: {
+			enum:     [false, true, 'both'],
+			default:  false,
+		},
+		// Limits of each sitemap, after which the URLs are split into several sitemaps
+		// (default: the limits of the protocol, i.e. 50,000 URLs and 50MB)
+		maxUrlsPerSitemap: {
+			type:     'integer',
+			minimum:  1,
+			maximum:  50000,
+			default:  50000,
+		},
+		maxBytesPerSitemap: {
+			type:     'integer',
+			minimum:  1,
+			maximum:  52428800,
+			default:  52428800,
+		},
+		// Create or update the 'robots.txt' file of the output directory
+		robots: {
+			type: ['boolean', 'object'],
+
+			properties: {
+				rules: {
+					type: 'array',
+
+					items: {
+						type: 'object',
+
+						properties: {
+							userAgent: {
+								type:      ['string', 'array'],
+								items:     { type: 'string', minLength: 1 },
+								minLength: 1,
+								minItems:  1,
+							},
+							allow: {
+								type:   'array',
+								items:  { type: 'string' },
+							},
+							disallow: {
+								type:   'array',
+								items:  { type: 'string' },
+							},
+							crawlDelay: {
+								type:     'number',
+								minimum:  0,
+							},
+						},
+						required:              ['userAgent'],
+						additionalProperties:  false,
+					},
+					default: [],
+				},
+				// Disallow the routes ignored with the 'ignoreRoute' meta property
+				disallowIgnoredRoutes: {
+					type:     'boolean',
+					default:  false,
+				},
+			},
+			additionalProperties: false,
+		},
+		// Generate a version of each route for every locale
+		locales: {
+			type: 'object',
+
+			properties: {
+				languages: {
+					type:         'array',
+					items:        { type: 'string', pattern: hreflangPattern },
+					minItems:     1,
+					uniqueItems:  true,
+				},
+				// Language used for the 'x-default' alternate (default: the first language)
+				defaultLanguage: {
+					type:     'string',
+					pattern:  hreflangPattern,
+				},
+				// Location of the language in the URLs
+				strategy: {
+					type:     'string',
+					enum:     ['prefix', 'subdomain', 'query'],
+					default:  'prefix',
+				},
+				queryParam: {
+					type:       'string',
+					minLength:  1,
+					default:    'lang',
+				},
+			},
+			required:              ['languages'],
+			additionalProperties:  false,
+		},
+		// Generate a Google News sitemap
+		news: {
+			type:                  'object',
+			properties:            newsPublicationSchema,
+			required:              ['name', 'language'],
+			additionalProperties:  false,
+		},
 		// Default URL meta tags
 		defaults: {
 			type:                  'object',
-			properties:            urlMetaTagsSchema,
+			properties:            { ...urlMetaTagsSchema, lastmod: routeLastmodSchema },
 			additionalProperties:  false,
 			default:               {},
 		},
@@ -231,48 +644,12 @@ const optionsValidator = ajv.compile({
 		routes: {
 			type:    'array',
 			default: [],
-
-			items: {
-				type: 'object',
-
-				properties: {
-					path: {
-						type: 'string',
-					},
-					meta: {
-						type: 'object',
-
-						properties: {
-							sitemap: {
-								type: 'object',
-
-								properties: {
-									loc: {
-										type: 'string'
-									},
-									ignoreRoute: {
-										type:   'boolean',
-										default: false,
-									},
-									slugs: {
-										anyOf: [
-											{ typeof:      'function'          },
-											{ instanceof: ['Array', 'Promise'] },
-										],
-
-										items: slugsItemsSchema,
-									},
-									...urlMetaTagsSchema
-								},
-								additionalProperties: false
-							}
-						},
-						additionalProperties: true
-					}
-				},
-				required: ['path'],
-				additionalProperties:  true
-			}
+			items:   { $ref: '#/definitions/route' },
+		},
+		// Path of the file exporting the routes of the app (loaded before the validation and added to 'routes')
+		routesFile: {
+			type:      'string',
+			minLength: 1,
 		},
 
 		/**
@@ -282,24 +659,56 @@ const optionsValidator = ajv.compile({
 		urls: {
 			type:    'array',
 			default: [],
+			items:   { $ref: '#/definitions/url' },
+		},
 
-			items: {
-				type: ['string', 'object'],
+		/**
+		 * Named sitemaps, each with their own routes and URLs
+		 * -------------------------------------------------------------
+		 */
+		sitemaps: {
+			type:           'object',
+			propertyNames:  { pattern: filenamePattern },
+
+			additionalProperties: {
+				type: 'object',
 
 				properties: {
-					loc: { type: 'string' },
-					...urlMetaTagsSchema
+					routes: {
+						type:    'array',
+						default: [],
+						items:   { $ref: '#/definitions/route' },
+					},
+					urls: {
+						type:    'array',
+						default: [],
+						items:   { $ref: '#/definitions/url' },
+					},
 				},
-				required: ['loc'],
-				additionalProperties:  false,
-			}
+				additionalProperties: false,
+			},
 		},
 	},
 	additionalProperties: false,
 });
 
+/**
+ * Validate the options and set their default values, or throw an error listing the invalid ones
+ */
+function validateOptions(options)
+{
+	if (!optionsValidator(options))
+		throw new ValidationError(ajv.errorsText(optionsValidator.errors).replace(/^data/, 'options'), optionsValidator.errors);
+
+	return options;
+}
+
 module.exports = {
+	w3cDatePattern,
+
 	ajv,
-	slugsValidator,
+	slugValidator,
+	lastmodValidator,
 	optionsValidator,
+	validateOptions,
 }
@@ -0,0 +1,101 @@
+
+/**
+ * src/webpack-plugin.js
+ */
+
+const path = require('path');
+
+const { validate, generate }              = require('./api');
+const { generateRobotsTxt,
+        getSitemapsNames }                = require('./robots');
+const { MANIFEST_FILENAME, readManifest } = require('./manifest');
+
+const PLUGIN_NAME = 'SitemapWebpackPlugin';
+
+/**
+ * Webpack plugin emitting the sitemaps as assets of the compilation
+ * (the options can also be returned by a (async) function called on each compilation)
+ *
+ * In incremental mode, the manifest of the previous build is read from the output directory,
+ * unless it's provided (e.g. because it was read before the output directory was emptied)
+ */
+class SitemapWebpackPlugin
+{
+	constructor(options, previousManifest = undefined)
+	{
+		this.options          = options;
+		this.previousManifest = previousManifest;
+	}
+
+	apply(compiler)
+	{
+		compiler.hooks.emit.tapPromise(PLUGIN_NAME, async compilation =>
+		{
+			try
+			{
+				await emitSitemaps(this, compiler, compilation, (typeof this.options == 'function') ? await this.options() : this.options);
+			}
+			catch (error)
+			{
+				// Report the error in the stats of the build instead of crashing it (e.g. in watch mode)
+				compilation.errors.push(error);
+			}
+		});
+	}
+}
+
+/**
+ * Generate the sitemaps and emit them as assets (along with the manifest and the 'robots.txt' file if needed)
+ */
+async function emitSitemaps(plugin, compiler, compilation, options)
+{
+	options = validate(options);
+
+	// Emit the sitemaps in the output directory of the plugin if one is set
+	const outputDir = options.outputDir ? path.relative(compiler.options.output.path, path.resolve(compiler.context, options.outputDir)) : '';
+
+	// In incremental mode, read the manifest of the previous build if it wasn't provided
+	let previousManifest = plugin.previousManifest;
+	if (options.incremental && previousManifest === undefined)
+		previousManifest = readManifest(path.join(compiler.options.output.path, outputDir, MANIFEST_FILENAME));
+
+	const sitemaps = await generate(options, previousManifest);
+
+	// Keep the manifest for the next build in watch mode
+	if (options.incremental)
+		plugin.previousManifest = JSON.parse(sitemaps[MANIFEST_FILENAME]);
+
+	// The sitemaps are already compressed if needed
+	for (const [filename, contents] of Object.entries(sitemaps))
+		emitAsset(compiler, compilation, path.join(outputDir, filename), contents);
+
+	// Update the 'robots.txt' file copied from the public folder, or create it
+	if (options.robots)
+	{
+		const robotsPath = path.join(outputDir, 'robots.txt');
+		const robotsTxt  = compilation.assets[robotsPath] ? compilation.assets[robotsPath].source().toString() : '';
+
+		emitAsset(compiler, compilation, robotsPath, generateRobotsTxt(getSitemapsNames(Object.keys(sitemaps)), options, robotsTxt));
+	}
+}
+
+/**
+ * Add or replace an asset of the compilation (with the API of either webpack 4 or webpack 5)
+ */
+function emitAsset(compiler, compilation, filename, contents)
+{
+	const source = (compiler.webpack && compiler.webpack.sources)
+		? new compiler.webpack.sources.RawSource(contents)
+		: { source: () => contents, size: () => Buffer.byteLength(contents) };
+
+	if (compilation.getAsset && compilation.getAsset(filename))
+		compilation.updateAsset(filename, source);
+	else if (compilation.emitAsset)
+		compilation.emitAsset(filename, source);
+	else
+		compilation.assets[filename] = source;
+}
+
+module.exports = {
+	SitemapWebpackPlugin,
+}
@@ -0,0 +1,214 @@
+
+/**
+ * src/writer.js
+ */
+
+const fs            = require('fs');
+const path          = require('path');
+const zlib          = require('zlib');
+const { once }      = require('events');
+const { pipeline }  = require('stream');
+const { promisify } = require('util');
+
+const {
+	NEWS_MAX_NB_URLS,
+	FORMATS,
+
+	generateURLs,
+	createSitemapSplitter,
+	getSitemapsFilenames,
+	isSitemapIndexNeeded,
+	getSitemapIndexFilename,
+	getNewsSitemapFilename,
+	selectNewsArticles,
+	generateSitemapIndexXML,
+	generateNewsSitemapXML,
+	getURLExtensions,
+	getLatestLastmod,
+} = require('./sitemap');
+
+const { recordFile }  = require('./report');
+
+const pipelinePromise = promisify(pipeline);
+
+/**
+ * Generate the sitemaps and stream them to the filesystem as the URLs are generated,
+ * so that the memory usage stays bounded regardless of the number of URLs
+ * (in incremental mode, the manifest of the generation is updated along the way, and so is the report if one is given)
+ * Return the list of the written files
+ */
+async function writeSitemaps(options, outputDir, manifest = undefined, report = undefined)
+{
+	// Only the XML sitemaps are minified
+	const minify = (text, format = 'xml') => (options.pretty || format != 'xml') ? text : text.replace(/\t+|\n/g, '');
+
+	const parts   = [];
+	const outputs = new Map(options.formats.map(format => [format, new Map()]));
+	let articles  = [];
+
+	try
+	{
+		for await (const url of generateURLs(options, manifest, report))
+		{
+			for (const [format, groups] of outputs)
+			{
+				if (!groups.has(url.group))
+					groups.set(url.group, { parts: [], splitSitemap: createSitemapSplitter(options, format) });
+
+				const group = groups.get(url.group);
+				const tag   = FORMATS[format].generateURL(url, options);
+
+				// Start a new sitemap when the current one of the group is full
+				if (group.splitSitemap(tag) || !group.parts.length)
+				{
+					if (group.parts.length) await closePart(group.parts[group.parts.length - 1]);
+
+					parts.push(openPart(outputDir, parts.length));
+					group.parts.push(parts[parts.length - 1]);
+				}
+
+				const part = group.parts[group.parts.length - 1];
+				await writeURLToPart(part, minify(tag, format), getURLExtensions(url), FORMATS[format].separator);
+				part.lastmod = getLatestLastmod(part.lastmod, url, options);
+			}
+
+			// Only keep the most recent articles for the news sitemap
+			if (options.news && url.news)
+			{
+				articles.push(url);
+				if (articles.length > 2*NEWS_MAX_NB_URLS) articles = selectNewsArticles(articles);
+			}
+		}
+
+		const filenames = [];
+		for (const [format, groups] of outputs)
+		{
+			// Always write at least one sitemap, even if empty
+			if (!groups.size)
+			{
+				parts.push(openPart(outputDir, parts.length));
+				groups.set(undefined, { parts: [parts[parts.length - 1]] });
+			}
+			for (const group of groups.values())
+				await closePart(group.parts[group.parts.length - 1]);
+
+			// Assemble the final sitemaps now that their number is known, in the order of their groups
+			const sortedParts = [...groups.values()].flatMap(group => group.parts);
+			const names       = getSitemapsFilenames(new Map([...groups].map(([name, group]) => [name, group.parts.length])), options);
+			for (const [index, part] of sortedParts.entries())
+			{
+				const filename = `${names[index]}.${format}`;
+				const { generateHeader, generateFooter } = FORMATS[format];
+
+				await assemblePart(part, path.join(outputDir, filename), minify(generateHeader([...part.extensions]), format), minify(generateFooter(), format));
+
+				const written = await compressFile(outputDir, filename, options);
+				recordFile(report, written, part.nbURLs);
+				filenames.push(...written);
+			}
+
+			// Write a single sitemap index for all the groups
+			if (format == 'xml' && isSitemapIndexNeeded(sortedParts.length, options))
+			{
+				const filename = `${getSitemapIndexFilename(options)}.xml`;
+				const sitemaps = sortedParts.map((part, index) => ({ filename: names[index], lastmod: part.lastmod }));
+
+				fs.writeFileSync(path.join(outputDir, filename), minify(await generateSitemapIndexXML(sitemaps, options)));
+
+				const written = await compressFile(outputDir, filename, options);
+				recordFile(report, written, sitemaps.length + (options.externalSitemaps || []).length);
+				filenames.push(...written);
+			}
+		}
+
+		if (options.news)
+		{
+			const filename = `${getNewsSitemapFilename(options)}.xml`;
+
+			fs.writeFileSync(path.join(outputDir, filename), minify(generateNewsSitemapXML(articles, options)));
+
+			const written = await compressFile(outputDir, filename, options);
+			recordFile(report, written, selectNewsArticles(articles).length);
+			filenames.push(...written);
+		}
+
+		return filenames;
+	}
+	finally
+	{
+		// Remove the temporary files in case something went wrong
+		parts.filter(part => fs.existsSync(part.tmpPath)).forEach(function(part)
+		{
+			part.stream.destroy();
+			fs.unlinkSync(part.tmpPath);
+		});
+	}
+}
+
+/**
+ * Open a new sitemap, whose URLs are written to a temporary file
+ * (the header of the sitemap can only be written once all its URLs are known)
+ */
+function openPart(outputDir, index)
+{
+	const tmpPath = path.join(outputDir, `.sitemap-part-${index + 1}.tmp`);
+
+	return {
+		tmpPath,
+		stream:      fs.createWriteStream(tmpPath),
+		extensions:  new Set(),
+		nbURLs:      0,
+		lastmod:     undefined,
+	};
+}
+
+async function writeURLToPart(part, text, extensions, separator = '')
+{
+	extensions.forEach(extension => part.extensions.add(extension));
+
+	// Wait for the stream to be drained before writing more data
+	if (!part.stream.write((part.nbURLs++ ? separator : '') + text))
+		await once(part.stream, 'drain');
+}
+
+async function closePart(part)
+{
+	part.stream.end();
+	await once(part.stream, 'finish');
+}
+
+/**
+ * Write the final sitemap by surrounding the URLs of the temporary file with the header and the footer
+ */
+async function assemblePart(part, filepath, header, footer)
+{
+	fs.writeFileSync(filepath, header);
+	await pipelinePromise(fs.createReadStream(part.tmpPath), fs.createWriteStream(filepath, { flags: 'a' }));
+	fs.appendFileSync(filepath, footer);
+
+	fs.unlinkSync(part.tmpPath);
+}
+
+/**
+ * Compress a written sitemap with gzip if needed, and return the name(s) of the resulting file(s)
+ */
+async function compressFile(outputDir, filename, options)
+{
+	if (!options.gzip) return [filename];
+
+	const filepath = path.join(outputDir, filename);
+	await pipelinePromise(fs.createReadStream(filepath), zlib.createGzip(), fs.createWriteStream(`${filepath}.gz`));
+
+	// Only keep the uncompressed file if asked to
+	if (options.gzip != 'both')
+	{
+		fs.unlinkSync(filepath);
+		return [`${filename}.gz`];
+	}
+
+	return [filename, `${filename}.gz`];
+}
+
+module.exports = {
+	writeSitemaps,
+}
@@ -0,0 +1,162 @@
+
+/**
+ * tests/api.test.js
+ */
+
+const fs             = require('fs');
+const os             = require('os');
+const path           = require('path');
+const zlib           = require('zlib');
+const chai           = require("chai");
+const expect         = chai.expect;
+const chaiAsPromised = require("chai-as-promised");
+
+const { validate, generate, write, SitemapError, ValidationError } = require('../api');
+
+chai.use(chaiAsPromised);
+
+describe("the programmatic API", () => {
+
+	/**
+	 * Validation
+	 * {{{
+	 * ---------------------------------------------------------------------
+	 */
+	it("validates the options and sets their default values", () => {
+		const options = { baseURL: 'https://website.net', routes: [{ path: '/' }] };
+
+		expect(validate(options)).to.include({ filename: 'sitemap', pretty: false, gzip: false, maxUrlsPerSitemap: 50000 });
+		expect(options).to.have.all.keys('baseURL', 'routes');
+	});
+
+	it("throws a validation error with the list of errors if the options are invalid", async () => {
+		expect(() => validate({ urls: ['https://website.net'], pretty: 'yes' })).to.throw(ValidationError, /options\.pretty should be boolean/);
+
+		try
+		{
+			validate({ urls: ['https://website.net'], pretty: 'yes' });
+		}
+		catch (error)
+		{
+			expect(error).to.be.an.instanceof(SitemapError);
+			expect(error.name).to.equal('ValidationError');
+			expect(error.errors).to.be.an('array').that.is.not.empty;
+		}
+
+		await expect(generate({ urls: [] })).to.be.rejectedWith(ValidationError);
+		await expect(write({ urls: [] })).to.be.rejectedWith(ValidationError);
+	});
+
+	it("throws a validation error if some slugs are invalid", async () => {
+		await expect(generate({
+			baseURL:  'https://website.net',
+			routes:   [{ path: '/user/:id', meta: { sitemap: { slugs: [{ id: 1, priority: 'high' }] } } }],
+		})).to.be.rejectedWith(ValidationError, /slugs\[0\]/);
+	});
+
+	it("adds the routes of the routes file to the 'routes' option", async () => {
+		const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'routes-'));
+
+		try
+		{
+			fs.writeFileSync(path.join(dir, 'routes.js'), "module.exports = [{ path: '/about' }];");
+
+			const options = validate({ baseURL: 'https://website.net', routes: [{ path: '/' }], routesFile: path.join(dir, 'routes.js') });
+			expect(options.routes).to.deep.equal([{ path: '/' }, { path: '/about' }]);
+			expect(validate(options).routes).to.have.lengthOf(2);
+
+			expect((await generate({ baseURL: 'https://website.net', routesFile: path.join(dir, 'routes.js') }))['sitemap.xml']).to.include(
+				'<loc>https://website.net/about</loc>'
+			);
+		}
+		finally
+		{
+			fs.rmSync(dir, { recursive: true, force: true });
+		}
+	});
+
+	it("rejects the slugs whose group isn't a valid filename", async () => {
+		const slugs = async () => [{ id: 1, group: '../../etc' }];
+
+		await expect(generate({ baseURL: 'https://website.net', routes: [{ path: '/user/:id', meta: { sitemap: { slugs } } }] }))
+			.to.be.rejectedWith(ValidationError, /slugs\[0\]\.group should match pattern/);
+	});
+
+	it("throws a sitemap error if the sitemaps can't be generated", async () => {
+		const error = await generate({ baseURL: 'https://website.net', routes: [{ path: '/user/:id' }] }).catch(error => error);
+
+		expect(error).to.be.an.instanceof(SitemapError);
+		expect(error).to.not.be.an.instanceof(ValidationError);
+		expect(error.message).to.equal("[vue-cli-plugin-sitemap]: need slugs to generate URLs from dynamic route '/user/:id'");
+	});
+	/**
+	 * }}}
+	 */
+
+	/**
+	 * Generation
+	 * {{{
+	 * ---------------------------------------------------------------------
+	 */
+	it("generates the sitemaps in memory", async () => {
+		expect(await generate({
+			baseURL:  'https://website.net',
+			formats:  ['xml', 'txt'],
+			routes:   [{ path: '/' }, { path: '/about' }],
+		})).to.deep.equal({
+			'sitemap.xml': '<?xml version="1.0" encoding="UTF-8"?>'
+			             + '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">'
+			             +     '<url><loc>https://website.net</loc></url><url><loc>https://website.net/about</loc></url>'
+			             + '</urlset>',
+			'sitemap.txt': 'https://website.net\nhttps://website.net/about\n',
+		});
+
+		expect((await generate({ urls: ['https://website.net'], pretty: true }))['sitemap.xml']).to.include('\t');
+	});
+
+	it("compresses the generated sitemaps with the 'gzip' option", async () => {
+		const options = { baseURL: 'https://website.net', maxUrlsPerSitemap: 1, routes: [{ path: '/' }, { path: '/about' }] };
+		const files   = await generate({ ...options, gzip: true });
+
+		expect(files).to.have.all.keys('sitemap-part-1.xml.gz', 'sitemap-part-2.xml.gz', 'sitemap-index.xml.gz');
+		expect(zlib.gunzipSync(files['sitemap-index.xml.gz']).toString()).to.include('<loc>https://website.net/sitemap-part-1.xml.gz</loc>');
+		expect(zlib.gunzipSync(files['sitemap-part-2.xml.gz']).toString()).to.include('<loc>https://website.net/about</loc>');
+
+		expect(await generate({ ...options, gzip: 'both', incremental: true })).to.have.all.keys(
+			'sitemap-part-1.xml', 'sitemap-part-1.xml.gz',
+			'sitemap-part-2.xml', 'sitemap-part-2.xml.gz',
+			'sitemap-index.xml',  'sitemap-index.xml.gz',
+			'sitemap-manifest.json',
+		);
+	});
+	/**
+	 * }}}
+	 */
+
+	/**
+	 * Writing
+	 * {{{
+	 * ---------------------------------------------------------------------
+	 */
+	describe("writes the sitemaps", () => {
+
+		let outputDir;
+		beforeEach(() => outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-')));
+		afterEach(()  => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+		it("in the given directory", async () => {
+			const options = { urls: ['https://website.net', 'https://website.net/about'] };
+
+			expect(await write(options, outputDir)).to.deep.equal(['sitemap.xml']);
+			expect(fs.readFileSync(path.join(outputDir, 'sitemap.xml'), 'utf8')).to.equal((await generate(options))['sitemap.xml']);
+		});
+
+		it("and updates the 'robots.txt' file", async () => {
+			expect(await write({ baseURL: 'https://website.net', routes: [{ path: '/' }], robots: true }, outputDir)).to.deep.equal(['sitemap.xml', 'robots.txt']);
+			expect(fs.readFileSync(path.join(outputDir, 'robots.txt'), 'utf8')).to.include('Sitemap: https://website.net/sitemap.xml');
+		});
+	});
+	/**
+	 * }}}
+	 */
+});
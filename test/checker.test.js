@@ -0,0 +1,175 @@
+
+/**
+ * tests/checker.test.js
+ */
+
+const fs                                  = require('fs');
+const os                                  = require('os');
+const path                                = require('path');
+const zlib                                = require('zlib');
+const { expect }                          = require('chai');
+
+const { generate }                        = require('../src/api');
+const { checkSitemap, checkSitemapFiles } = require('../src/checker');
+
+describe("sitemaps checking", () => {
+
+	/**
+	 * Generated sitemaps
+	 * {{{
+	 * ---------------------------------------------------------------------
+	 */
+	it("accepts the sitemaps generated by the plugin", async () => {
+		const sitemaps = await generate({
+			baseURL:     'https://website.net',
+			pretty:      true,
+			alwaysIndex: true,
+			defaults:    { lastmod: '2020-01-01', changefreq: 'weekly', priority: 0.8 },
+			urls:        [{ loc: "/search?q=socks&lang=en's", images: [{ loc: 'https://website.net/img/socks.jpg' }] }],
+			routes:      [{ path: '/user/:name', meta: { sitemap: { slugs: ['bob', 'élodie'] } } }],
+			locales:     { languages: ['en', 'fr'] },
+		});
+
+		expect(checkSitemap(sitemaps['sitemap.xml'])).to.deep.equal([]);
+		expect(checkSitemap(sitemaps['sitemap-index.xml'])).to.deep.equal([]);
+	});
+	/**
+	 * }}}
+	 */
+
+	/**
+	 * Syntax and namespaces
+	 * {{{
+	 * ---------------------------------------------------------------------
+	 */
+	it("reports the syntax errors", () => {
+		expect(checkSitemap('')).to.deep.equal([{ line: 1, message: 'the sitemap is empty' }]);
+		expect(checkSitemap(sitemap(
+			'<url>',
+			'  <loc>https://website.net/?a=1&b=2</loc>',
+		))).to.deep.equal([
+			{ line: 3, message: 'unclosed element <url>' },
+			{ line: 4, message: "the character '&' must be escaped as '&amp;'" },
+		]);
+	});
+
+	it("reports the missing or undeclared namespaces", () => {
+		expect(checkSitemap('<urlset><url><loc>https://website.net</loc></url></urlset>')).to.deep.equal([
+			{ line: 1, message: "the root element must be <urlset> or <sitemapindex> with the namespace 'http://www.sitemaps.org/schemas/sitemap/0.9'" },
+		]);
+		expect(checkSitemap(sitemap(
+			'<url>',
+			'  <loc>https://website.net</loc>',
+			'  <image:image><image:loc>https://website.net/img.jpg</image:loc></image:image>',
+			'</url>',
+		))).to.deep.equal([
+			{ line: 5, message: "the namespace prefix 'image' of element <image:image> is not declared" },
+			{ line: 5, message: "the namespace prefix 'image' of element <image:loc> is not declared" },
+		]);
+	});
+	/**
+	 * }}}
+	 */
+
+	/**
+	 * Elements
+	 * {{{
+	 * ---------------------------------------------------------------------
+	 */
+	it("reports the unexpected, duplicate, misplaced or missing elements", () => {
+		expect(checkSitemap(sitemap(
+			'<page><loc>https://website.net</loc></page>',
+			'<url><priority>0.5</priority><lastmod>2020-01-01</lastmod><lastmod>2020-01-01</lastmod></url>',
+			'<url><loc>https://website.net/about</loc><title>About</title></url>',
+		))).to.deep.equal([
+			{ line: 3, message: 'unexpected element <page> in <urlset>, only <url> elements are allowed' },
+			{ line: 4, message: 'element <lastmod> must come before <priority> in <url>' },
+			{ line: 4, message: 'duplicate element <lastmod> in <url>' },
+			{ line: 4, message: 'missing element <loc> in <url>' },
+			{ line: 5, message: 'unexpected element <title> in <url>' },
+		]);
+	});
+
+	it("reports the invalid dates, frequencies and priorities", () => {
+		expect(checkSitemap(sitemap(
+			'<url>',
+			'  <loc>https://website.net</loc>',
+			'  <lastmod>2020-13-01</lastmod>',
+			'  <changefreq>often</changefreq>',
+			'  <priority>1.5</priority>',
+			'</url>',
+		))).to.deep.equal([
+			{ line: 5, message: "the date '2020-13-01' doesn't follow the W3C format" },
+			{ line: 6, message: "the frequency 'often' must be one of: always, hourly, daily, weekly, monthly, yearly, never" },
+			{ line: 7, message: "the priority '1.5' must be a number between 0.0 and 1.0" },
+		]);
+	});
+
+	it("reports the invalid locations", () => {
+		expect(checkSitemap(sitemap(
+			'<url><loc>/about</loc></url>',
+			'<url><loc>https://website.net/a page</loc></url>',
+			"<url><loc>https://website.net/it's</loc></url>",
+			'<url><loc>https://other.net/about</loc></url>',
+		), { baseURL: 'https://website.net' })).to.deep.equal([
+			{ line: 3, message: "the location '/about' must be a full URL starting with the protocol (http or https)" },
+			{ line: 4, message: "the location 'https://website.net/a page' must be URL-encoded" },
+			{ line: 5, message: "the apostrophes of the location 'https://website.net/it's' must be escaped as '&apos;'" },
+			{ line: 6, message: "the location 'https://other.net/about' is not on the same host as the other URLs ('website.net')" },
+		]);
+	});
+
+	it("reports the sitemaps with too many URLs", () => {
+		const urls = Array.from({ length: 50001 }, (_, index) => `<url><loc>https://website.net/${index}</loc></url>`);
+
+		expect(checkSitemap(sitemap(urls.join('')))).to.deep.equal([
+			{ line: 2, message: 'the sitemap contains more than 50000 entries (50001)' },
+		]);
+	});
+	/**
+	 * }}}
+	 */
+
+	/**
+	 * Files
+	 * {{{
+	 * ---------------------------------------------------------------------
+	 */
+	it("checks the sitemaps of a directory, compressed or not", () => {
+		const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checker-'));
+
+		try
+		{
+			fs.writeFileSync(path.join(dir, 'sitemap.xml.gz'), zlib.gzipSync(sitemap('<url><loc>https://website.net</loc></url>')));
+			fs.writeFileSync(path.join(dir, 'sitemap-index.xml'), sitemap('<sitemap><loc>https://website.net/sitemap.xml.gz</loc></sitemap>'));
+			fs.writeFileSync(path.join(dir, 'feed.xml'), '<rss></rss>');
+
+			expect(checkSitemapFiles(dir)).to.deep.equal({
+				[path.join(dir, 'sitemap.xml.gz')]:    [],
+				[path.join(dir, 'sitemap-index.xml')]: [{ line: 3, message: 'unexpected element <sitemap> in <urlset>, only <url> elements are allowed' }],
+			});
+			expect(checkSitemapFiles(path.join(dir, 'feed.xml'))).to.have.all.keys(path.join(dir, 'feed.xml'));
+			expect(() => checkSitemapFiles(path.join(dir, 'missing.xml'))).to.throw(/cannot find the sitemaps to check/);
+		}
+		finally
+		{
+			fs.rmSync(dir, { recursive: true, force: true });
+		}
+	});
+	/**
+	 * }}}
+	 */
+});
+
+/**
+ * Wrap some lines in a sitemap (the first one is on line 3)
+ */
+function sitemap(...lines)
+{
+	return [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+		...lines,
+		'</urlset>',
+	].join('\n');
+}
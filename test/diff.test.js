@@ -0,0 +1,149 @@
+
+/**
+ * tests/diff.test.js
+ */
+
+const fs                   = require('fs');
+const os                   = require('os');
+const path                 = require('path');
+const zlib                 = require('zlib');
+const { pathToFileURL }    = require('url');
+const { expect }           = require('chai');
+
+const { generate, write }  = require('../src/api');
+const { SitemapError }     = require('../src/errors');
+
+const {
+	readSitemapURLs,
+	getGeneratedURLs,
+	readWrittenURLs,
+	diffURLs,
+	exceedsThreshold,
+	formatDiff,
+} = require('../src/diff');
+
+describe("comparison with the previous sitemaps", () => {
+
+	let dir;
+	beforeEach(() => dir = fs.mkdtempSync(path.join(os.tmpdir(), 'diff-')));
+	afterEach(()  => fs.rmSync(dir, { recursive: true, force: true }));
+
+	/**
+	 * Reading
+	 * {{{
+	 * ---------------------------------------------------------------------
+	 */
+	it("reads the URLs of a sitemap, given as a path or a file URL", () => {
+		fs.writeFileSync(path.join(dir, 'sitemap.xml'), sitemap(
+			'<url><loc>https://website.net/?a=1&amp;b=2</loc><lastmod>2020-01-01</lastmod></url>',
+			'<url><loc>https://website.net/about</loc><changefreq>daily</changefreq><priority>0.8</priority></url>',
+		));
+		const urls = {
+			'https://website.net/?a=1&b=2': { lastmod: '2020-01-01' },
+			'https://website.net/about':    { changefreq: 'daily', priority: '0.8' },
+		};
+
+		expect(readSitemapURLs(path.join(dir, 'sitemap.xml'))).to.deep.equal({ urls, missing: [] });
+		expect(readSitemapURLs(pathToFileURL(path.join(dir, 'sitemap.xml')).href)).to.deep.equal({ urls, missing: [] });
+	});
+
+	it("reads the URLs of the sitemaps of an index found in the same directory", () => {
+		fs.writeFileSync(path.join(dir, 'sitemap-part-1.xml'),    sitemap('<url><loc>https://website.net/</loc></url>'));
+		fs.writeFileSync(path.join(dir, 'sitemap-part-2.xml.gz'), zlib.gzipSync(sitemap('<url><loc>https://website.net/about</loc></url>')));
+		fs.writeFileSync(path.join(dir, 'sitemap-index.xml'), [
+			'<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+			'<sitemap><loc>https://website.net/app/sitemap-part-1.xml</loc></sitemap>',
+			'<sitemap><loc>https://website.net/app/sitemap-part-2.xml.gz</loc></sitemap>',
+			'<sitemap><loc>https://website.net/blog/sitemap.xml</loc></sitemap>',
+			'</sitemapindex>',
+		].join('\n'));
+
+		expect(readSitemapURLs(path.join(dir, 'sitemap-index.xml'))).to.deep.equal({
+			urls:    { 'https://website.net/': {}, 'https://website.net/about': {} },
+			missing: ['https://website.net/blog/sitemap.xml'],
+		});
+	});
+
+	it("reads the URLs of the written sitemaps", async () => {
+		const options = {
+			baseURL:           'https://website.net',
+			maxUrlsPerSitemap: 2,
+			routes:            [{ path: '/' }, { path: '/about', meta: { sitemap: { priority: 0.5 } } }, { path: '/blog' }],
+		};
+		const filenames = await write({ ...options, gzip: true }, dir);
+
+		expect(filenames).to.deep.equal(['sitemap-part-1.xml.gz', 'sitemap-part-2.xml.gz', 'sitemap-index.xml.gz']);
+		expect(readWrittenURLs(dir, filenames)).to.deep.equal(getGeneratedURLs(await generate(options)));
+	});
+
+	it("throws an error if the sitemap doesn't exist or is invalid", () => {
+		fs.writeFileSync(path.join(dir, 'broken.xml'), '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n<url>\n</urlset>');
+		fs.writeFileSync(path.join(dir, 'feed.xml'),   '<rss></rss>');
+
+		expect(() => readSitemapURLs(path.join(dir, 'missing.xml'))).to.throw(SitemapError, /cannot find the sitemap to compare with/);
+		expect(() => readSitemapURLs(path.join(dir, 'broken.xml'))).to.throw(SitemapError, /broken\.xml:2: unclosed element <url>/);
+		expect(() => readSitemapURLs(path.join(dir, 'feed.xml'))).to.throw(SitemapError, /is not a sitemap or a sitemap index/);
+	});
+	/**
+	 * }}}
+	 */
+
+	/**
+	 * Comparison
+	 * {{{
+	 * ---------------------------------------------------------------------
+	 */
+	it("lists the added, removed and changed URLs of the generated sitemaps", async () => {
+		fs.writeFileSync(path.join(dir, 'sitemap.xml'), sitemap(
+			'<url><loc>https://website.net</loc><lastmod>2020-01-01</lastmod></url>',
+			'<url><loc>https://website.net/about</loc><priority>0.5</priority></url>',
+			'<url><loc>https://website.net/user/1</loc></url>',
+			'<url><loc>https://website.net/user/2</loc></url>',
+		));
+		const files = await generate({
+			baseURL:           'https://website.net',
+			maxUrlsPerSitemap: 2,
+			routes:            [
+				{ path: '/',         meta: { sitemap: { lastmod: '2021-01-01' } } },
+				{ path: '/about',    meta: { sitemap: { priority: 0.5 }         } },
+				{ path: '/user/:id', meta: { sitemap: { slugs: [2, 3] }         } },
+			],
+		});
+
+		const diff = diffURLs(readSitemapURLs(path.join(dir, 'sitemap.xml')).urls, getGeneratedURLs(files));
+		expect(diff).to.deep.equal({
+			added:   ['https://website.net/user/3'],
+			removed: ['https://website.net/user/1'],
+			changed: [{ loc: 'https://website.net', changes: { lastmod: ['2020-01-01', '2021-01-01'] } }],
+		});
+		expect(formatDiff(diff)).to.equal([
+			'+ https://website.net/user/3',
+			'- https://website.net/user/1',
+			'~ https://website.net (lastmod: 2020-01-01 -> 2021-01-01)',
+			'1 added, 1 removed, 1 changed',
+		].join('\n'));
+	});
+
+	it("checks the number of removed URLs against a threshold", () => {
+		const diff = { added: [], removed: ['/a', '/b'], changed: [] };
+
+		expect(exceedsThreshold(diff, 10, 1)).to.be.true;
+		expect(exceedsThreshold(diff, 10, '2')).to.be.false;
+		expect(exceedsThreshold(diff, 10, '15%')).to.be.true;
+		expect(exceedsThreshold(diff, 10, '20%')).to.be.false;
+		expect(() => exceedsThreshold(diff, 10, 'many')).to.throw(SitemapError, /must be a number or a percentage/);
+	});
+	/**
+	 * }}}
+	 */
+});
+
+function sitemap(...lines)
+{
+	return [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+		...lines,
+		'</urlset>',
+	].join('\n');
+}
@@ -0,0 +1,202 @@
+
+/**
+ * tests/lastmod.test.js
+ */
+
+const fs                 = require('fs');
+const os                 = require('os');
+const path               = require('path');
+const { execFileSync }   = require('child_process');
+const chai               = require("chai");
+const expect             = chai.expect;
+const chaiAsPromised     = require("chai-as-promised");
+
+const { generate }       = require('../src/api');
+const { SitemapError }   = require('../src/errors');
+
+chai.use(chaiAsPromised);
+
+describe("modification dates read from the source files", () => {
+
+	let dir;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lastmod-'));
+	});
+	afterEach(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	/**
+	 * Strategies
+	 * {{{
+	 * ---------------------------------------------------------------------
+	 */
+	it("uses the modification time of the source file with the 'mtime' strategy", async () => {
+		const source = writeFile('About.vue', new Date('2020-05-01T10:00:00Z'));
+
+		expect(await generateSitemap({
+			routes: [{ path: '/about', meta: { sitemap: { lastmod: 'mtime', source } } }],
+		})).to.include('<url><loc>https://website.net/about</loc><lastmod>2020-05-01T10:00:00.000Z</lastmod></url>');
+	});
+
+	it("uses the date of the latest commit of the source file with the 'git' strategy", async () => {
+		const source = writeFile('About.vue');
+		git('init', '-q');
+		git('add', 'About.vue');
+		git('commit', '-q', '-m', 'Add the about page');
+
+		expect(await generateSitemap({
+			routes: [{ path: '/about', meta: { sitemap: { lastmod: 'git', source } } }],
+		})).to.include('<url><loc>https://website.net/about</loc><lastmod>2021-03-04T05:06:07+01:00</lastmod></url>');
+	});
+
+	it("doesn't add a modification date if the source file hasn't been committed yet", async () => {
+		writeFile('Home.vue');
+		git('init', '-q');
+		git('add', 'Home.vue');
+		git('commit', '-q', '-m', 'Add the home page');
+
+		const source = writeFile('About.vue');
+		expect(await generateSitemap({
+			routes: [{ path: '/about', meta: { sitemap: { lastmod: 'git', source } } }],
+		})).to.include('<url><loc>https://website.net/about</loc></url>');
+	});
+
+	it("throws an error if the source file doesn't exist", async () => {
+		await expect(generateSitemap({
+			routes: [{ path: '/about', meta: { sitemap: { lastmod: 'mtime', source: path.join(dir, 'Missing.vue') } } }],
+		})).to.be.rejectedWith(SitemapError, /cannot find the source file/);
+	});
+	/**
+	 * }}}
+	 */
+
+	/**
+	 * Source files
+	 * {{{
+	 * ---------------------------------------------------------------------
+	 */
+	it("reads the file of the component of the routes with the default strategy", async () => {
+		const component = { __file: writeFile('Home.vue', new Date('2020-01-01T00:00:00Z')) };
+
+		expect(await generateSitemap({
+			defaults:  { lastmod: 'mtime' },
+			routes:    [{ path: '/', component }, { path: '/redirect', redirect: '/' }],
+			urls:      ['/contact'],
+		})).to.include([
+			'<url><loc>https://website.net/contact</loc></url>',
+			'<url><loc>https://website.net</loc><lastmod>2020-01-01T00:00:00.000Z</lastmod></url>',
+			'<url><loc>https://website.net/redirect</loc></url>',
+		].join(''));
+	});
+
+	it("inherits the strategy but not the source file of the parent routes", async () => {
+		const source    = writeFile('Blog.vue',    new Date('2020-01-01T00:00:00Z'));
+		const component = { __file: writeFile('Article.vue', new Date('2020-02-01T00:00:00Z')) };
+
+		expect(await generateSitemap({
+			routes: [{
+				path:      '/blog',
+				meta:      { sitemap: { lastmod: 'mtime', source } },
+				children:  [{ path: 'article', component }, { path: 'other' }],
+			}],
+		})).to.include([
+			'<url><loc>https://website.net/blog</loc><lastmod>2020-01-01T00:00:00.000Z</lastmod></url>',
+			'<url><loc>https://website.net/blog/article</loc><lastmod>2020-02-01T00:00:00.000Z</lastmod></url>',
+			'<url><loc>https://website.net/blog/other</loc></url>',
+		].join(''));
+	});
+
+	it("warns about the routes whose component has no known source file", async () => {
+		const warnings = [];
+		const warn     = console.warn;
+		console.warn   = message => warnings.push(message);
+
+		try
+		{
+			expect(await generateSitemap({
+				defaults:  { lastmod: 'git' },
+				routes:    [{ path: '/about', component: () => Promise.resolve({}) }, { path: '/redirect', redirect: '/about' }],
+			})).to.include('<url><loc>https://website.net/about</loc></url>');
+		}
+		finally
+		{
+			console.warn = warn;
+		}
+
+		expect(warnings).to.deep.equal([
+			"Cannot find the source file of the component of route '/about', set its 'source' property to give it a modification date",
+		]);
+	});
+
+	it("keeps the modification dates of the slugs", async () => {
+		const source = writeFile('User.vue', new Date('2020-01-01T00:00:00Z'));
+
+		expect(await generateSitemap({
+			routes: [{ path: '/user/:id', meta: { sitemap: { lastmod: 'mtime', source, slugs: [1, { id: 2, lastmod: '2019-12-31' }] } } }],
+		})).to.include([
+			'<url><loc>https://website.net/user/1</loc><lastmod>2020-01-01T00:00:00.000Z</lastmod></url>',
+			'<url><loc>https://website.net/user/2</loc><lastmod>2019-12-31</lastmod></url>',
+		].join(''));
+	});
+	/**
+	 * }}}
+	 */
+
+	/**
+	 * Incremental generation
+	 * {{{
+	 * ---------------------------------------------------------------------
+	 */
+	it("updates the modification dates kept in the manifest when the source files change", async () => {
+		const source  = writeFile('About.vue', new Date('2020-01-01T00:00:00Z'));
+		const options = { baseURL: 'https://website.net', incremental: true, routes: [{ path: '/about', meta: { sitemap: { lastmod: 'mtime', source } } }] };
+
+		const first = await generate(options);
+		expect(first['sitemap.xml']).to.include('<lastmod>2020-01-01T00:00:00.000Z</lastmod>');
+
+		fs.utimesSync(source, new Date('2021-01-01T00:00:00Z'), new Date('2021-01-01T00:00:00Z'));
+		const second = await generate(options, JSON.parse(first['sitemap-manifest.json']));
+		expect(second['sitemap.xml']).to.include('<lastmod>2021-01-01T00:00:00.000Z</lastmod>');
+		expect(JSON.parse(second['sitemap-manifest.json']).urls['https://website.net/about'].lastmod).to.equal('2021-01-01T00:00:00.000Z');
+	});
+	/**
+	 * }}}
+	 */
+
+	/**
+	 * Create a file in the temporary directory, optionally with a modification time
+	 */
+	function writeFile(filename, mtime = undefined)
+	{
+		const filepath = path.join(dir, filename);
+
+		fs.writeFileSync(filepath, '<template><div></div></template>');
+		if (mtime)
+			fs.utimesSync(filepath, mtime, mtime);
+
+		return filepath;
+	}
+
+	/**
+	 * Run a git command in the temporary directory, with a fixed identity and commit date
+	 */
+	function git(...args)
+	{
+		const date = '2021-03-04T05:06:07+01:00';
+
+		execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@test.com', ...args], {
+			cwd:  dir,
+			env:  { ...process.env, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date },
+		});
+	}
+});
+
+/**
+ * Generate a XML sitemap with some default options
+ */
+async function generateSitemap(options)
+{
+	return (await generate({ baseURL: 'https://website.net', ...options }))['sitemap.xml'];
+}
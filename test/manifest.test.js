@@ -0,0 +1,116 @@
+
+/**
+ * tests/manifest.test.js
+ */
+
+const fs                                = require('fs');
+const os                                = require('os');
+const path                              = require('path');
+const { expect }                        = require('chai');
+
+const { generate, write }               = require('../src/api');
+const { createManifest, applyManifest } = require('../src/manifest');
+
+describe("incremental generation", () => {
+
+	/**
+	 * Manifest
+	 * {{{
+	 * ---------------------------------------------------------------------
+	 */
+	it("uses the date of the generation for the new URLs without a modification date", () => {
+		const manifest = createManifest();
+
+		expect(applyManifest({ loc: 'https://website.net/' }, manifest).lastmod).to.equal(manifest.date);
+		expect(applyManifest({ loc: 'https://website.net/about', lastmod: '2020-01-01' }, manifest).lastmod).to.equal('2020-01-01');
+		expect(manifest.urls).to.have.all.keys('https://website.net/', 'https://website.net/about');
+	});
+
+	it("keeps the previous modification date of the URLs whose content hasn't changed", () => {
+		const previous = createManifest();
+		applyManifest({ loc: 'https://website.net/a', lastmod: '2020-01-01', priority: 0.5, contentHash: 'abc' }, previous);
+		applyManifest({ loc: 'https://website.net/b', lastmod: '2020-01-01', priority: 0.5, contentHash: 'abc' }, previous);
+
+		const manifest = createManifest({ urls: previous.urls });
+
+		expect(applyManifest({ loc: 'https://website.net/a', contentHash: 'abc', priority: 0.5 }, manifest, '2021-01-01').lastmod).to.equal('2020-01-01');
+		expect(applyManifest({ loc: 'https://website.net/b', lastmod: '2021-01-01', contentHash: 'def', priority: 0.5 }, manifest).lastmod).to.equal('2021-01-01');
+		expect(applyManifest({ loc: 'https://website.net/c', lastmod: '2021-01-01'                                   }, manifest).lastmod).to.equal('2021-01-01');
+	});
+	it("uses the own modification date of the URLs if it's more recent than the previous one", () => {
+		const previous = createManifest();
+		applyManifest({ loc: 'https://website.net/a', lastmod: '2020-01-01' }, previous);
+		applyManifest({ loc: 'https://website.net/b', lastmod: '2020-01-01' }, previous);
+
+		const manifest = createManifest({ urls: previous.urls });
+
+		expect(applyManifest({ loc: 'https://website.net/a', lastmod: '2024-05-05' }, manifest).lastmod).to.equal('2024-05-05');
+		expect(applyManifest({ loc: 'https://website.net/b', lastmod: '2019-01-01' }, manifest).lastmod).to.equal('2020-01-01');
+		expect(manifest.urls['https://website.net/a'].lastmod).to.equal('2024-05-05');
+	});
+	/**
+	 * }}}
+	 */
+
+	/**
+	 * Generation
+	 * {{{
+	 * ---------------------------------------------------------------------
+	 */
+	it("only changes the modification dates of the slugs whose content has changed", async () => {
+		const slugs   = [{ id: 1, title: 'First' }, { id: 2, title: 'Second' }];
+		const options = {
+			baseURL:      'https://website.net',
+			incremental:  true,
+			defaults:     { lastmod: '2020-01-01' },
+			routes:       [{ path: '/post/:id', meta: { sitemap: { slugs } } }],
+		};
+
+		const first = await generate(options);
+		expect(first['sitemap.xml']).to.include('<url><loc>https://website.net/post/1</loc><lastmod>2020-01-01</lastmod></url>');
+
+		slugs[1].title = 'Second (updated)';
+		const second = await generate({ ...options, defaults: { lastmod: '2021-01-01' } }, JSON.parse(first['sitemap-manifest.json']));
+
+		expect(second['sitemap.xml']).to.include([
+			'<url><loc>https://website.net/post/1</loc><lastmod>2020-01-01</lastmod></url>',
+			'<url><loc>https://website.net/post/2</loc><lastmod>2021-01-01</lastmod></url>',
+		].join(''));
+	});
+
+	it("updates the modification dates set on the routes", async () => {
+		const options = { baseURL: 'https://website.net', incremental: true, routes: [{ path: '/', meta: { sitemap: { lastmod: '2020-01-01' } } }] };
+
+		const first  = await generate(options);
+		const second = await generate({ ...options, routes: [{ path: '/', meta: { sitemap: { lastmod: '2024-05-05' } } }] }, JSON.parse(first['sitemap-manifest.json']));
+
+		expect(second['sitemap.xml']).to.include('<lastmod>2024-05-05</lastmod>');
+	});
+
+	it("doesn't save a manifest if the option isn't set", async () => {
+		expect(await generate({ urls: ['https://website.net'] })).to.have.all.keys('sitemap.xml');
+	});
+
+	it("reads and writes the manifest in the output directory", async () => {
+		const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-'));
+		const options   = { baseURL: 'https://website.net', incremental: true, routes: [{ path: '/' }] };
+
+		try
+		{
+			expect(await write(options, outputDir)).to.deep.equal(['sitemap.xml', 'sitemap-manifest.json']);
+
+			const manifest = JSON.parse(fs.readFileSync(path.join(outputDir, 'sitemap-manifest.json'), 'utf8'));
+			expect(manifest.urls).to.have.all.keys('https://website.net');
+
+			await write(options, outputDir);
+			expect(fs.readFileSync(path.join(outputDir, 'sitemap.xml'), 'utf8')).to.include(`<lastmod>${manifest.urls['https://website.net'].lastmod}</lastmod>`);
+		}
+		finally
+		{
+			fs.rmSync(outputDir, { recursive: true, force: true });
+		}
+	});
+	/**
+	 * }}}
+	 */
+});
@@ -0,0 +1,118 @@
+
+/**
+ * tests/middleware.test.js
+ */
+
+const zlib                        = require('zlib');
+const { expect }                  = require('chai');
+
+const { createSitemapMiddleware } = require('../src/middleware');
+
+describe("the dev server middleware", () => {
+
+	const options = {
+		baseURL: 'https://website.net',
+		routes:  [{ path: '/' }, { path: '/about' }],
+	};
+
+	it("serves the sitemap", async () => {
+		const { res, next } = await request(createSitemapMiddleware(options), '/sitemap.xml');
+
+		expect(next.called).to.be.false;
+		expect(res.statusCode).to.equal(200);
+		expect(res.headers['Content-Type']).to.equal('application/xml; charset=utf-8');
+		expect(res.body).to.include('<loc>https://website.net/about</loc>');
+	});
+
+	it("serves the parts, the index and the other formats", async () => {
+		const middleware = createSitemapMiddleware({ ...options, formats: ['xml', 'txt'], maxUrlsPerSitemap: 1 });
+
+		expect((await request(middleware, '/sitemap-part-2.xml')).res.body).to.include('<loc>https://website.net/about</loc>');
+		expect((await request(middleware, '/sitemap-index.xml?v=1')).res.body).to.include('<loc>https://website.net/sitemap-part-1.xml</loc>');
+		expect((await request(middleware, '/sitemap-part-1.txt')).res).to.include({ body: 'https://website.net\n' });
+		expect((await request(middleware, '/sitemap-part-1.txt')).res.headers['Content-Type']).to.equal('text/plain; charset=utf-8');
+	});
+
+	it("serves the compressed sitemaps", async () => {
+		const middleware = createSitemapMiddleware({ ...options, gzip: true, maxUrlsPerSitemap: 1 });
+		const { res }    = await request(middleware, '/sitemap-index.xml.gz');
+
+		expect(res.headers['Content-Type']).to.equal('application/gzip');
+		expect(zlib.gunzipSync(res.body).toString()).to.include('<loc>https://website.net/sitemap-part-1.xml.gz</loc>');
+		expect(zlib.gunzipSync((await request(middleware, '/sitemap-part-2.xml.gz')).res.body).toString()).to.include('<loc>https://website.net/about</loc>');
+	});
+
+	it("generates the sitemaps anew on each request", async () => {
+		const routes     = [{ path: '/' }];
+		const middleware = createSitemapMiddleware(() => ({ baseURL: 'https://website.net', routes }));
+
+		expect((await request(middleware, '/sitemap.xml')).res.body).to.not.include('/blog');
+		routes.push({ path: '/blog' });
+		expect((await request(middleware, '/sitemap.xml')).res.body).to.include('<loc>https://website.net/blog</loc>');
+	});
+
+	it("passes the other requests to the next middleware", async () => {
+		const middleware = createSitemapMiddleware(options);
+
+		expect((await request(middleware, '/'                    )).next.called).to.be.true;
+		expect((await request(middleware, '/app.js'              )).next.called).to.be.true;
+		expect((await request(middleware, '/manifest.json'       )).next.called).to.be.true;
+		expect((await request(middleware, '/sitemap-index.xml'   )).next.called).to.be.true;
+		expect((await request(middleware, '/about/sitemap.xml'   )).next.called).to.be.true;
+		expect((await request(middleware, '/sitemap.xml', 'POST' )).next.called).to.be.true;
+	});
+
+	it("doesn't generate the sitemaps for the files which can't be one of them", async () => {
+		let nbCalls      = 0;
+		const middleware = createSitemapMiddleware({
+			...options,
+			formats:      ['xml', 'json'],
+			incremental:  true,
+			routes:       [{ path: '/user/:id', meta: { sitemap: { slugs: () => { nbCalls++; throw new Error('API down'); } } } }],
+		});
+
+		for (const url of ['/manifest.json', '/robots.txt', '/feed.xml', '/sitemap-manifest.json', '/sitemap.xml.gz', '/sitemap.txt'])
+		{
+			const { next } = await request(middleware, url);
+
+			expect(next.called).to.be.true;
+			expect(next.error).to.be.undefined;
+		}
+		expect(nbCalls).to.equal(0);
+
+		expect((await request(middleware, '/sitemap-blog.json')).next.error).to.have.property('message', 'API down');
+		expect(nbCalls).to.equal(1);
+	});
+
+	it("serves the sitemaps under the public path of the app", async () => {
+		const middleware = createSitemapMiddleware({ ...options, publicPath: '/app/' });
+
+		expect((await request(middleware, '/app/sitemap.xml')).res.body).to.include('<loc>https://website.net/app/about</loc>');
+		expect((await request(middleware, '/sitemap.xml'    )).next.called).to.be.true;
+	});
+
+	it("passes the errors to the next middleware", async () => {
+		const { next } = await request(createSitemapMiddleware({ urls: [] }), '/sitemap.xml');
+
+		expect(next.called).to.be.true;
+		expect(next.error).to.be.an.instanceof(Error);
+	});
+});
+
+/**
+ * Send a fake request to a middleware
+ */
+async function request(middleware, url, method = 'GET')
+{
+	const res = {
+		headers:    {},
+		setHeader:  (header, value) => res.headers[header] = value,
+		end:        body => res.body = body,
+	};
+	const next = error => Object.assign(next, { called: true, error });
+	next.called = false;
+
+	await middleware({ url, method }, res, next);
+
+	return { res, next };
+}
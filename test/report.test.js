@@ -0,0 +1,155 @@
+
+/**
+ * tests/report.test.js
+ */
+
+const fs                             = require('fs');
+const os                             = require('os');
+const path                           = require('path');
+const { expect }                     = require('chai');
+
+const { generate, write }            = require('../src/api');
+const { createReport, formatReport } = require('../src/report');
+
+describe("report of the routes", () => {
+
+	const options = {
+		baseURL:  'https://website.net',
+		urls:     ['/about', '/about'],
+		routes:   [
+			{ path: '/'                                                                                 },
+			{ path: '/about'                                                                            },
+			{ path: '/home',     meta: { sitemap: { loc: '/' } }                                        },
+			{ path: '/user/:id', meta: { sitemap: { slugs: [1, 2, 2] } }                                },
+			{ path: '/admin',    meta: { sitemap: { ignoreRoute: true } }, children: [{ path: 'users' }] },
+			{ path: '*'                                                                                 },
+		],
+	};
+
+	/**
+	 * Outcomes
+	 * {{{
+	 * ---------------------------------------------------------------------
+	 */
+	it("reports the outcome of each route", async () => {
+		const report = createReport();
+		await generate(options, undefined, report);
+
+		expect(JSON.parse(formatReport(report, 'json'))).to.deep.include({
+			routes: [
+				{ path: '/',            outcome: 'static',       urls: 1, overridden: 0, deduplicated: 0           },
+				{ path: '/about',       outcome: 'overridden',   urls: 0, overridden: 1, deduplicated: 0           },
+				{ path: '/home',        outcome: 'deduplicated', urls: 0, overridden: 0, deduplicated: 1           },
+				{ path: '/user/:id',    outcome: 'expanded',     urls: 2, overridden: 0, deduplicated: 1, slugs: 3 },
+				{ path: '/admin',       outcome: 'ignored',      urls: 0, overridden: 0, deduplicated: 0           },
+				{ path: '/admin/users', outcome: 'ignored',      urls: 0, overridden: 0, deduplicated: 0           },
+				{ path: '/*',           outcome: 'catch-all',    urls: 0, overridden: 0, deduplicated: 0           },
+			],
+			handwritten: { urls: 1, deduplicated: 1 },
+			totals: { 'static': 1, 'overridden': 1, 'deduplicated': 1, 'expanded': 1, 'ignored': 2, 'catch-all': 1 },
+		});
+	});
+
+	it("reports the routes with a wildcard or a parameter matching anything as catch-all routes", async () => {
+		const report = createReport();
+		await generate({ baseURL: 'https://website.net', routes: [{ path: '/' }, { path: '/:pathMatch(.*)*' }, { path: '/docs/*' }] }, undefined, report);
+
+		expect(report.routes.map(route => route.outcome)).to.deep.equal(['static', 'catch-all', 'catch-all']);
+	});
+
+	it("counts the localized URLs of the routes", async () => {
+		const report = createReport();
+		await generate({ ...options, urls: [], locales: { languages: ['en', 'fr'] } }, undefined, report);
+
+		expect(report.routes.map(route => route.urls)).to.deep.equal([2, 2, 0, 4, 0, 0, 0]);
+	});
+
+	it("reports the group of the routes", async () => {
+		const report = createReport();
+		await generate({ baseURL: 'https://website.net', sitemaps: { blog: { routes: [{ path: '/blog' }] } } }, undefined, report);
+
+		expect(formatReport(report)).to.include('| `/blog` | blog | static | 1 |');
+	});
+	/**
+	 * }}}
+	 */
+
+	/**
+	 * Files
+	 * {{{
+	 * ---------------------------------------------------------------------
+	 */
+	it("counts the entries of each generated file", async () => {
+		const report = createReport();
+		await generate({ ...options, formats: ['xml', 'txt'], maxUrlsPerSitemap: 3 }, undefined, report);
+
+		expect(report.files).to.deep.equal({
+			'sitemap-part-1.xml':  3,
+			'sitemap-part-2.xml':  1,
+			'sitemap-index.xml':   2,
+			'sitemap-part-1.txt':  3,
+			'sitemap-part-2.txt':  1,
+		});
+	});
+
+	it("counts the entries of each written file", async () => {
+		const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-'));
+		const report    = createReport();
+
+		try
+		{
+			await write({ ...options, gzip: 'both', alwaysIndex: true }, outputDir, report);
+		}
+		finally
+		{
+			fs.rmSync(outputDir, { recursive: true, force: true });
+		}
+
+		expect(report.files).to.deep.equal({
+			'sitemap.xml':           4,
+			'sitemap.xml.gz':        4,
+			'sitemap-index.xml':     1,
+			'sitemap-index.xml.gz':  1,
+		});
+	});
+	/**
+	 * }}}
+	 */
+
+	/**
+	 * Markdown
+	 * {{{
+	 * ---------------------------------------------------------------------
+	 */
+	it("formats the report in Markdown", async () => {
+		const report = createReport();
+		await generate(options, undefined, report);
+
+		expect(formatReport(report)).to.equal([
+			'## Routes',
+			'',
+			'| Route | Outcome | URLs |',
+			'| ----- | ------- | ---- |',
+			'| `/` | static | 1 |',
+			'| `/about` | overridden by a handwritten URL | 0 |',
+			'| `/home` | deduplicated | 0 |',
+			'| `/user/:id` | expanded into 3 slugs (1 deduplicated) | 2 |',
+			'| `/admin` | ignored | 0 |',
+			'| `/admin/users` | ignored | 0 |',
+			'| `/*` | catch-all route | 0 |',
+			'',
+			'Routes: 1 static, 1 overridden, 1 deduplicated, 1 expanded, 2 ignored, 1 catch-all',
+			'Handwritten URLs: 1 (1 deduplicated)',
+			'',
+			'## Files',
+			'',
+			'| File | Entries |',
+			'| ---- | ------- |',
+			'| sitemap.xml | 4 |',
+			'',
+		].join('\n'));
+	});
+	/**
+	 * }}}
+	 */
+});
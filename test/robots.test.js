@@ -0,0 +1,220 @@
+
+/**
+ * tests/robots.test.js
+ */
+
+const fs                                    = require('fs');
+const os                                    = require('os');
+const path                                  = require('path');
+const { expect }                            = require('chai');
+
+const { generate: generateSitemaps }        = require('../src/api');
+const {
+	getSitemapsNames,
+	writeRobotsTxt,
+	generateRobotsTxt,
+} = require('../src/robots');
+
+const defaultOptions = {
+	baseURL:   'https://website.com',
+	filename:  'sitemap',
+	routes:    [],
+	robots:    true,
+};
+
+describe("robots.txt generation", () => {
+
+	/**
+	 * Sitemaps
+	 * {{{
+	 * ---------------------------------------------------------------------
+	 */
+	it("declares the location of the sitemap", () => {
+		expect(generate(['sitemap'])).to.equal(wrapRobotsTxt('Sitemap: https://website.com/sitemap.xml'));
+		expect(generate(['sitemap'], { gzip: true })).to.equal(wrapRobotsTxt('Sitemap: https://website.com/sitemap.xml.gz'));
+	});
+
+	it("only declares the sitemap index and the news sitemap if there is an index", () => {
+		expect(generate(['sitemap-news', 'sitemap-part-1', 'sitemap-part-2', 'sitemap-index'])).to.equal(wrapRobotsTxt([
+			'Sitemap: https://website.com/sitemap-news.xml',
+			'Sitemap: https://website.com/sitemap-index.xml',
+		]));
+
+		expect(generate(['shop-part-1', 'shop-part-2', 'index'], { filename: 'shop', indexFilename: 'index' })).to.equal(wrapRobotsTxt(
+			'Sitemap: https://website.com/index.xml'
+		));
+	});
+
+	it("only declares the XML sitemaps among the generated files", async () => {
+		const files = await generateSitemaps({ ...defaultOptions, routes: [{ path: '/' }], incremental: true, formats: ['xml', 'txt'], gzip: 'both' });
+
+		expect(Object.keys(files)).to.include('sitemap-manifest.json');
+		expect(getSitemapsNames(Object.keys(files))).to.deep.equal(['sitemap']);
+	});
+
+	it("throws an error if there is no base URL", () => {
+		expect(() => generate(['sitemap'], { baseURL: '' })).to.throw(/requires a base URL/);
+	});
+	/**
+	 * }}}
+	 */
+
+	/**
+	 * Rules
+	 * {{{
+	 * ---------------------------------------------------------------------
+	 */
+	it("adds the rules of each user agent", () => {
+		expect(generate(['sitemap'], {
+			robots: {
+				rules: [
+					{ userAgent: '*', allow: ['/'], disallow: ['/admin', '/tmp'] },
+					{ userAgent: ['Googlebot', 'Bingbot'], disallow: ['/private'], crawlDelay: 10 },
+				],
+			},
+		})).to.equal(wrapRobotsTxt([
+			'User-agent: *',
+			'Allow: /',
+			'Disallow: /admin',
+			'Disallow: /tmp',
+			'',
+			'User-agent: Googlebot',
+			'User-agent: Bingbot',
+			'Disallow: /private',
+			'Crawl-delay: 10',
+			'',
+			'Sitemap: https://website.com/sitemap.xml',
+		]));
+	});
+
+	it("disallows the ignored routes if the 'disallowIgnoredRoutes' option is set", () => {
+		const routes = [
+			{ path: '/' },
+			{ path: '*' },
+			{ path: '/:pathMatch(.*)*', meta: { sitemap: { ignoreRoute: true } } },
+			{ path: '/tmp/*', meta: { sitemap: { ignoreRoute: true } } },
+			{ path: '/admin', meta: { sitemap: { ignoreRoute: true } }, children: [{ path: 'users' }] },
+			{ path: '/user/:id/settings', meta: { sitemap: { ignoreRoute: true } } },
+			{ path: '/drafts/:id?', meta: { sitemap: { ignoreRoute: true } } },
+			{ path: '/secret', meta: { sitemap: { ignoreRoute: false } } },
+		];
+
+		expect(generate(['sitemap'], { routes, robots: { disallowIgnoredRoutes: true } })).to.equal(wrapRobotsTxt([
+			'User-agent: *',
+			'Disallow: /admin',
+			'Disallow: /drafts',
+			'Disallow: /tmp/',
+			'Disallow: /user/*/settings',
+			'',
+			'Sitemap: https://website.com/sitemap.xml',
+		]));
+
+		expect(generate(['sitemap'], {
+			routes,
+			robots: { disallowIgnoredRoutes: true, rules: [{ userAgent: '*', disallow: ['/drafts'] }, { userAgent: 'Googlebot', allow: ['/'] }] },
+		})).to.equal(wrapRobotsTxt([
+			'User-agent: *',
+			'Disallow: /drafts',
+			'Disallow: /admin',
+			'Disallow: /tmp/',
+			'Disallow: /user/*/settings',
+			'',
+			'User-agent: Googlebot',
+			'Allow: /',
+			'',
+			'Sitemap: https://website.com/sitemap.xml',
+		]));
+	});
+
+	it("disallows the ignored routes of the named sitemaps and of every locale", () => {
+		expect(generate(['sitemap'], {
+			robots:    { disallowIgnoredRoutes: true },
+			locales:   { languages: ['en', 'fr'], strategy: 'prefix' },
+			sitemaps:  { blog: { routes: [{ path: '/blog/drafts', meta: { sitemap: { ignoreRoute: true } } }] } },
+		})).to.equal(wrapRobotsTxt([
+			'User-agent: *',
+			'Disallow: /en/blog/drafts',
+			'Disallow: /fr/blog/drafts',
+			'',
+			'Sitemap: https://website.com/sitemap.xml',
+		]));
+	});
+
+	it("prefixes the locations of the sitemaps and the ignored routes with the 'publicPath' option", () => {
+		expect(generate(['sitemap'], {
+			publicPath:  '/app/',
+			routes:      [{ path: '/admin', meta: { sitemap: { ignoreRoute: true } } }],
+			robots:      { disallowIgnoredRoutes: true },
+		})).to.equal(wrapRobotsTxt([
+			'User-agent: *',
+			'Disallow: /app/admin',
+			'',
+			'Sitemap: https://website.com/app/sitemap.xml',
+		]));
+	});
+	/**
+	 * }}}
+	 */
+
+	/**
+	 * Existing file
+	 * {{{
+	 * ---------------------------------------------------------------------
+	 */
+	it("keeps the existing contents of the file and replaces the generated rules", () => {
+		const contents = 'User-agent: *\nDisallow: /cgi-bin\n';
+		const updated  = generate(['sitemap'], {}, contents);
+
+		expect(updated).to.equal(`User-agent: *\nDisallow: /cgi-bin\n\n${wrapRobotsTxt('Sitemap: https://website.com/sitemap.xml')}`);
+		expect(generate(['sitemap-part-1', 'sitemap-part-2', 'sitemap-index'], {}, updated)).to.equal(
+			`User-agent: *\nDisallow: /cgi-bin\n\n${wrapRobotsTxt('Sitemap: https://website.com/sitemap-index.xml')}`
+		);
+	});
+
+	it("removes the handwritten declarations of the generated sitemaps", () => {
+		expect(generate(['sitemap'], {}, 'Sitemap: https://website.com/sitemap.xml\nsitemap:https://website.com/blog.xml\n')).to.equal(
+			`sitemap:https://website.com/blog.xml\n\n${wrapRobotsTxt('Sitemap: https://website.com/sitemap.xml')}`
+		);
+	});
+
+	it("creates or updates the file in the output directory", () => {
+		const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'robots-'));
+
+		try
+		{
+			expect(writeRobotsTxt(['sitemap'], defaultOptions, outputDir)).to.equal('robots.txt');
+			expect(fs.readFileSync(path.join(outputDir, 'robots.txt'), 'utf8')).to.equal(wrapRobotsTxt('Sitemap: https://website.com/sitemap.xml'));
+
+			fs.writeFileSync(path.join(outputDir, 'robots.txt'), 'User-agent: *\nDisallow:\n');
+			writeRobotsTxt(['sitemap'], defaultOptions, outputDir);
+			expect(fs.readFileSync(path.join(outputDir, 'robots.txt'), 'utf8')).to.equal(`User-agent: *\nDisallow:\n\n${wrapRobotsTxt('Sitemap: https://website.com/sitemap.xml')}`);
+		}
+		finally
+		{
+			fs.rmSync(outputDir, { recursive: true, force: true });
+		}
+	});
+	/**
+	 * }}}
+	 */
+});
+
+/**
+ * Call 'generateRobotsTxt' with some default options
+ */
+function generate(sitemaps, options = {}, contents = '')
+{
+	return generateRobotsTxt(sitemaps, { ...defaultOptions, ...options }, contents);
+}
+
+/**
+ * Surround some lines with the comments of the generated rules
+ */
+function wrapRobotsTxt(lines)
+{
+	return [
+		'# Start of the rules generated by vue-cli-plugin-sitemap',
+		...[].concat(lines),
+		'# End of the rules generated by vue-cli-plugin-sitemap',
+	].join('\n') + '\n';
+}
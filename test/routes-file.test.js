@@ -0,0 +1,220 @@
+
+/**
+ * tests/routes-file.test.js
+ */
+
+const fs                 = require('fs');
+const os                 = require('os');
+const path               = require('path');
+const { expect }         = require('chai');
+
+const { loadRoutesFile } = require('../src/routes-file');
+
+describe("routes file loading", () => {
+
+	let dir;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'routes-'));
+	});
+	afterEach(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	/**
+	 * Exports
+	 * {{{
+	 * ---------------------------------------------------------------------
+	 */
+	it("loads an array of routes", () => {
+		writeFiles({ 'routes.js': "module.exports = [{ path: '/' }, { path: '/about' }];" });
+
+		expect(loadRoutesFile(path.join(dir, 'routes.js'))).to.deep.equal([{ path: '/' }, { path: '/about' }]);
+		expect(loadRoutesFile(path.join(dir, 'routes'))).to.deep.equal([{ path: '/' }, { path: '/about' }]);
+	});
+
+	it("loads the routes of a router instance (vue-router 3)", () => {
+		writeFiles({
+			'router.js': [
+				"const Vue       = require('vue');",
+				"const VueRouter = require('vue-router');",
+				"Vue.use(VueRouter);",
+				"module.exports = new VueRouter({ mode: 'history', base: process.env.BASE_URL, routes: require('./routes') });",
+			],
+			'routes.js': "module.exports = [{ path: '/' }];",
+		});
+
+		expect(loadRoutesFile(path.join(dir, 'router.js'))).to.deep.equal([{ path: '/' }]);
+	});
+
+	it("loads the routes of a router instance (vue-router 4)", () => {
+		writeFiles({
+			'router.js': [
+				"const { createRouter, createWebHistory } = require('vue-router');",
+				"exports.__esModule = true;",
+				"exports.default    = createRouter({ history: createWebHistory(), routes: [{ path: '/blog' }] });",
+			],
+		});
+
+		expect(loadRoutesFile(path.join(dir, 'router.js'))).to.deep.equal([{ path: '/blog' }]);
+	});
+
+	it("throws an error if the file doesn't exist or doesn't export routes", () => {
+		writeFiles({ 'config.js': "module.exports = { routes: 'none' };" });
+
+		expect(() => loadRoutesFile(path.join(dir, 'missing.js'))).to.throw(/cannot find the routes file/);
+		expect(() => loadRoutesFile(path.join(dir, 'config.js'))).to.throw(/must export an array of routes or a router instance/);
+	});
+	/**
+	 * }}}
+	 */
+
+	/**
+	 * Dependencies
+	 * {{{
+	 * ---------------------------------------------------------------------
+	 */
+	it("stubs the components and their dynamic imports", () => {
+		writeFiles({
+			'routes.js': [
+				"const Home = require('./views/Home.vue');",
+				"require('@/styles/main.css');",
+				"module.exports = [",
+				"  { path: '/',      component: Home },",
+				"  { path: '/about', component: () => import(/* webpackChunkName: 'about' */ './views/About.vue') },",
+				"];",
+			],
+			'views/Home.vue': '<template><div></div></template>',
+		});
+
+		const routes = loadRoutesFile(path.join(dir, 'routes.js'));
+
+		expect(routes.map(route => route.path)).to.deep.equal(['/', '/about']);
+		expect(routes[1].component()).to.be.an.instanceof(Promise);
+	});
+
+	it("sets the paths of the files of the components", () => {
+		writeFiles({
+			'routes.js': [
+				"const Home = require('./views/Home.vue');",
+				"module.exports = [",
+				"  { path: '/',      component: Home },",
+				"  { path: '/about', component: () => import('./views/About.vue'), children: [{ path: 'team', component: () => import('./views/Team') }] },",
+				"];",
+			],
+			'views/Home.vue':  '<template><div></div></template>',
+			'views/About.vue': '<template><div></div></template>',
+			'views/Team.js':   "module.exports = { render: () => null };",
+		});
+
+		const routes = loadRoutesFile(path.join(dir, 'routes.js'));
+
+		expect(routes[0].component.__file).to.equal(path.join(dir, 'views/Home.vue'));
+		expect(routes[1].component.__file).to.equal(path.join(dir, 'views/About.vue'));
+		expect(routes[1].children[0].component.__file).to.equal(path.join(dir, 'views/Team.js'));
+	});
+
+	it("loads the local modules and the JSON files imported by the routes", () => {
+		writeFiles({
+			'routes.js': [
+				"const { slugs } = require('./data');",
+				"module.exports  = [{ path: '/post/:id', meta: { sitemap: { slugs } } }];",
+			],
+			'data/index.js': "module.exports = { slugs: require('./posts.json') };",
+			'data/posts.json': '[1, 2, 3]',
+		});
+
+		expect(loadRoutesFile(path.join(dir, 'routes.js'))).to.deep.equal([{ path: '/post/:id', meta: { sitemap: { slugs: [1, 2, 3] } } }]);
+	});
+
+	it("reloads the files on each call", () => {
+		writeFiles({ 'routes.js': "module.exports = [{ path: '/' }];" });
+		expect(loadRoutesFile(path.join(dir, 'routes.js'))).to.have.lengthOf(1);
+
+		writeFiles({ 'routes.js': "module.exports = [{ path: '/' }, { path: '/new' }];" });
+		expect(loadRoutesFile(path.join(dir, 'routes.js'))).to.have.lengthOf(2);
+	});
+	/**
+	 * }}}
+	 */
+
+	/**
+	 * Transpilation
+	 * {{{
+	 * ---------------------------------------------------------------------
+	 */
+	it("loads the routes of an ES module", () => {
+		writeFiles({
+			'router.js': [
+				"import Vue       from 'vue';",
+				"import VueRouter from 'vue-router';",
+				"import routes    from './routes';",
+				"Vue.use(VueRouter);",
+				"export default new VueRouter({ mode: 'history', routes });",
+			],
+			'routes.js': [
+				"import Home from './views/Home.vue';",
+				"export default [",
+				"  { path: '/',      component: Home },",
+				"  { path: '/about', component: () => import('./views/About.vue') },",
+				"];",
+			],
+			'views/Home.vue':  '<template><div></div></template>',
+			'views/About.vue': '<template><div></div></template>',
+		});
+
+		const routes = loadRoutesFile(path.join(dir, 'router.js'));
+
+		expect(routes.map(route => route.path)).to.deep.equal(['/', '/about']);
+		expect(routes[0].component.__file).to.equal(path.join(dir, 'views/Home.vue'));
+		expect(routes[1].component.__file).to.equal(path.join(dir, 'views/About.vue'));
+	});
+
+	it("loads the routes of a TypeScript file", () => {
+		writeFiles({
+			'router.ts': [
+				"import { createRouter, createWebHistory, RouteRecordRaw } from 'vue-router';",
+				"interface Meta { sitemap: { priority: number } }",
+				"const meta: Meta = { sitemap: { priority: 0.8 } };",
+				"const routes: RouteRecordRaw[] = [{ path: '/', meta }, { path: '/:pathMatch(.*)*', component: () => import('./views/NotFound.vue') }];",
+				"export default createRouter({ history: createWebHistory(), routes });",
+			],
+		});
+
+		const routes = loadRoutesFile(path.join(dir, 'router'));
+
+		expect(routes.map(route => route.path)).to.deep.equal(['/', '/:pathMatch(.*)*']);
+		expect(routes[0].meta).to.deep.equal({ sitemap: { priority: 0.8 } });
+	});
+
+	it("throws an error if there is no compiler to transpile the file", () => {
+		writeFiles({ 'routes.js': "export default [{ path: '/' }];" });
+
+		// Prevent the compilers installed for the tests from being found
+		const cwd = process.cwd();
+		process.chdir(dir);
+		try
+		{
+			expect(() => loadRoutesFile(path.join(dir, 'routes.js'))).to.throw(/requires either 'typescript' or '@babel\/core'/);
+		}
+		finally
+		{
+			process.chdir(cwd);
+		}
+	});
+	/**
+	 * }}}
+	 */
+
+	/**
+	 * Write some files (given as strings or arrays of lines) in the temporary directory
+	 */
+	function writeFiles(files)
+	{
+		Object.entries(files).forEach(function([filename, contents])
+		{
+			fs.mkdirSync(path.dirname(path.join(dir, filename)), { recursive: true });
+			fs.writeFileSync(path.join(dir, filename), [].concat(contents).join('\n'));
+		});
+	}
+});
@@ -255,6 +255,19 @@ describe("single sitemap generation", () => {
 			]));
 		});
 
+		it("prefixes the routes with the 'publicPath' option", async () => {
+			expect(await generate({
+				baseURL:     'https://website.net',
+				publicPath:  '/app/',
+				routes:      [{ path: '/' }, { path: '/about' }, { path: '/external', meta: { sitemap: { loc: 'https://other.net/page' } } }],
+				urls:        ['/contact'],
+			})).to.deep.equal(wrapSitemap([
+				'<url><loc>https://website.net/contact</loc></url>',
+				'<url><loc>https://website.net/app</loc></url><url><loc>https://website.net/app/about</loc></url>',
+				'<url><loc>https://other.net/page</loc></url>',
+			]));
+		});
+
 		it("takes per-route meta tags into account", async () => {
 			expect(await generate({
 				baseURL:   'https://website.net',
@@ -535,6 +548,135 @@ describe("single sitemap generation", () => {
 			]));
 		});
 
+		it("handles optional parameters", async () => {
+			expect(await generate({
+				baseURL:   'https://website.net',
+				routes:    [{
+					path: '/docs/:section?/:page?',
+					meta: {
+						sitemap: {
+							slugs: [
+								{ section: 'guide' },
+								{ section: 'guide', page: 'installation' },
+							]
+						}
+					}
+				}]
+			})).to.deep.equal(wrapSitemap([
+				'<url><loc>https://website.net/docs/guide</loc></url>',
+				'<url><loc>https://website.net/docs/guide/installation</loc></url>',
+			]));
+		});
+
+		it("accepts slugs without any value for the optional parameters", async () => {
+			expect(await generate({
+				baseURL:   'https://website.net',
+				routes:    [{ path: '/docs/:section?', meta: { sitemap: { slugs: [{}, { priority: 0.5 }, 'intro'] } } }],
+			})).to.deep.equal(wrapSitemap([
+				'<url><loc>https://website.net/docs</loc></url>',
+				'<url><loc>https://website.net/docs/intro</loc></url>',
+			]));
+
+			await expect(generate({
+				baseURL:   'https://website.net',
+				routes:    [{ path: '/user/:pseudo', meta: { sitemap: { slugs: [{ group: 'users', priority: 0.5 }] } } }],
+			})).to.be.rejectedWith(/need slug for param 'pseudo'/);
+		});
+
+		it("generates routes with only optional parameters without slugs", async () => {
+			expect(await generate({
+				baseURL:   'https://website.net',
+				routes:    [{ path: '/docs/:section?' }],
+			})).to.deep.equal(wrapSitemap(
+				'<url><loc>https://website.net/docs</loc></url>'
+			));
+		});
+
+		it("handles parameters constrained by a regex", async () => {
+			expect(await generate({
+				baseURL:   'https://website.net',
+				routes:    [{
+					path: '/user/:id(\\d+)',
+					meta: { sitemap: { slugs: [1, '22'] } },
+				}]
+			})).to.deep.equal(wrapSitemap([
+				'<url><loc>https://website.net/user/1</loc></url>',
+				'<url><loc>https://website.net/user/22</loc></url>',
+			]));
+		});
+
+		it("handles repeatable parameters", async () => {
+			expect(await generate({
+				baseURL:   'https://website.net',
+				routes:    [{
+					path: '/files/:path*',
+					meta: { sitemap: { slugs: [{ path: [] }, { path: 'readme' }, { path: ['docs', 'guide', 'index'] }] } },
+				}]
+			})).to.deep.equal(wrapSitemap([
+				'<url><loc>https://website.net/files</loc></url>',
+				'<url><loc>https://website.net/files/readme</loc></url>',
+				'<url><loc>https://website.net/files/docs/guide/index</loc></url>',
+			]));
+		});
+
+		it("handles routes with wildcards", async () => {
+			expect(await generate({
+				baseURL:   'https://website.net',
+				routes:    [{
+					path: '/user-*',
+					meta: { sitemap: { slugs: ['admin', { pathMatch: 'guest' }] } },
+				}]
+			})).to.deep.equal(wrapSitemap([
+				'<url><loc>https://website.net/user-admin</loc></url>',
+				'<url><loc>https://website.net/user-guest</loc></url>',
+			]));
+		});
+
+		it("throws an error if a slug doesn't match the regex of its parameter", async () => {
+			await expect(generate({
+				baseURL:   'https://website.net',
+				routes:    [{
+					path: '/user/:id(\\d+)',
+					meta: { sitemap: { slugs: [1, 'admin'] } },
+				}]
+			})).to.be.rejectedWith(/doesn't match the pattern/);
+			await expect(generate({
+				baseURL:   'https://website.net',
+				routes:    [{
+					path: '/files/:path([a-z]+)+',
+					meta: { sitemap: { slugs: [{ path: ['docs', '01'] }] } },
+				}]
+			})).to.be.rejectedWith(/doesn't match the pattern/);
+		});
+
+		it("throws an error if a non-repeatable parameter is given an array of values", async () => {
+			await expect(generate({
+				baseURL:   'https://website.net',
+				routes:    [{
+					path: '/user/:id',
+					meta: { sitemap: { slugs: [{ id: [1, 2] }] } },
+				}]
+			})).to.be.rejectedWith(/is not repeatable/);
+		});
+
+		it("applies the meta tags of dynamic routes to each slug", async () => {
+			expect(await generate({
+				baseURL:   'https://website.net',
+				routes:    [{
+					path: '/article/:title',
+					meta: {
+						sitemap: {
+							changefreq: 'monthly',
+							slugs:      ['my-first-article', { title: 'my-last-article', changefreq: 'never' }],
+						}
+					}
+				}]
+			})).to.deep.equal(wrapSitemap([
+				'<url><loc>https://website.net/article/my-first-article</loc><changefreq>monthly</changefreq></url>',
+				'<url><loc>https://website.net/article/my-last-article</loc><changefreq>never</changefreq></url>',
+			]));
+		});
+
 		it("accepts a synchronous generator for the slugs", async () => {
 			expect(await generate({
 				baseURL:   'https://website.net',
@@ -563,6 +705,23 @@ describe("single sitemap generation", () => {
 			]));
 		});
 
+		it("accepts an (async) iterable for the slugs", async () => {
+			async function* generateSlugs()
+			{
+				yield 1;
+				yield* [2, 3];
+			}
+
+			expect(await generate({
+				baseURL:   'https://website.net',
+				routes:    [
+					{ path: '/user/:id',    meta: { sitemap: { slugs: generateSlugs()     } } },
+					{ path: '/article/:id', meta: { sitemap: { slugs: generateSlugs       } } },
+					{ path: '/product/:id', meta: { sitemap: { slugs: new Set([1, 2, 3]) } } },
+				]
+			})).to.deep.equal(wrapSitemap(['user', 'article', 'product'].map(page => [1, 2, 3].map(id => `<url><loc>https://website.net/${page}/${id}</loc></url>`).join(''))));
+		});
+
 		it("ignores routes with the 'ignoreRoute' option set to 'true'", async () => {
 			expect(await generate({
 				baseURL:   'https://website.net',
@@ -581,6 +740,130 @@ describe("single sitemap generation", () => {
 			));
 		});
 
+		it("ignores the routes with a wildcard or a parameter matching anything, unless they have slugs", async () => {
+			expect(await generate({
+				baseURL:   'https://website.net',
+				routes:    [
+					{ path: '/blog'                                                    },
+					{ path: '/blog/:rest(.*)*'                                         },
+					{ path: '/:pathMatch(.*)*', name: 'NotFound'                       },
+					{ path: '/docs/*'                                                  },
+					{ path: '/user-*'                                                  },
+					{ path: '/docs/:page(.*)',  meta: { sitemap: { slugs: ['a/b'] } } },
+				],
+			})).to.deep.equal(wrapSitemap(
+				'<url><loc>https://website.net/blog</loc></url><url><loc>https://website.net/docs/a/b</loc></url>'
+			));
+		});
+
+		it("generates URLs from nested routes", async () => {
+			expect(await generate({
+				baseURL:   'https://website.net',
+				routes:    [{
+					path: '/account',
+					children: [
+						{ path: 'profile'  },
+						{ path: 'settings', children: [{ path: 'privacy' }] },
+						{ path: '/help'     },
+					]
+				}],
+			})).to.deep.equal(wrapSitemap([
+				'<url><loc>https://website.net/account</loc></url>',
+				'<url><loc>https://website.net/account/profile</loc></url>',
+				'<url><loc>https://website.net/account/settings</loc></url>',
+				'<url><loc>https://website.net/account/settings/privacy</loc></url>',
+				'<url><loc>https://website.net/help</loc></url>',
+			]));
+		});
+
+		it("merges nested routes with an empty path with their parent", async () => {
+			expect(await generate({
+				baseURL:   'https://website.net',
+				routes:    [{ path: '/account/', children: [{ path: '' }, { path: 'profile' }] }],
+			})).to.deep.equal(wrapSitemap([
+				'<url><loc>https://website.net/account</loc></url>',
+				'<url><loc>https://website.net/account/profile</loc></url>',
+			]));
+		});
+
+		it("applies the meta tags of parent routes to their children", async () => {
+			expect(await generate({
+				baseURL:   'https://website.net',
+				routes:    [{
+					path: '/account',
+					meta: { sitemap: { changefreq: 'monthly', priority: 0.3 } },
+					children: [
+						{ path: 'profile'                                        },
+						{ path: 'settings', meta: { sitemap: { priority: 0.8 } } },
+					]
+				}],
+			})).to.deep.equal(wrapSitemap([
+				'<url><loc>https://website.net/account</loc><changefreq>monthly</changefreq><priority>0.3</priority></url>',
+				'<url><loc>https://website.net/account/profile</loc><changefreq>monthly</changefreq><priority>0.3</priority></url>',
+				'<url><loc>https://website.net/account/settings</loc><changefreq>monthly</changefreq><priority>0.8</priority></url>',
+			]));
+		});
+
+		it("applies the slugs of parent routes to their children", async () => {
+			expect(await generate({
+				baseURL:   'https://website.net',
+				routes:    [{
+					path: '/user/:id',
+					meta: { sitemap: { slugs: [1, 2] } },
+					children: [{ path: 'posts' }],
+				}],
+			})).to.deep.equal(wrapSitemap([
+				'<url><loc>https://website.net/user/1</loc></url>',
+				'<url><loc>https://website.net/user/2</loc></url>',
+				'<url><loc>https://website.net/user/1/posts</loc></url>',
+				'<url><loc>https://website.net/user/2/posts</loc></url>',
+			]));
+		});
+
+		it("doesn't apply the 'loc' property of parent routes to their children", async () => {
+			expect(await generate({
+				baseURL:   'https://website.net',
+				routes:    [{
+					path: '/complicated/path/here',
+					meta: { sitemap: { loc: '/about' } },
+					children: [{ path: 'team' }],
+				}],
+			})).to.deep.equal(wrapSitemap([
+				'<url><loc>https://website.net/about</loc></url>',
+				'<url><loc>https://website.net/complicated/path/here/team</loc></url>',
+			]));
+		});
+
+		it("doesn't apply the extensions of parent routes to their children", async () => {
+			expect(await generate({
+				baseURL:   'https://website.net',
+				routes:    [{
+					path: '/gallery',
+					meta: { sitemap: { changefreq: 'weekly', images: [{ loc: 'https://website.net/img/1.jpg' }] } },
+					children: [{ path: 'about' }],
+				}],
+			})).to.deep.equal(wrapSitemap([
+				'<url><loc>https://website.net/gallery</loc><changefreq>weekly</changefreq><image:image><image:loc>https://website.net/img/1.jpg</image:loc></image:image></url>',
+				'<url><loc>https://website.net/gallery/about</loc><changefreq>weekly</changefreq></url>',
+			], ' xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"'));
+		});
+
+		it("ignores the children of ignored routes unless they override the 'ignoreRoute' option", async () => {
+			expect(await generate({
+				baseURL:   'https://website.net',
+				routes:    [{
+					path: '/admin',
+					meta: { sitemap: { ignoreRoute: true } },
+					children: [
+						{ path: 'users' },
+						{ path: 'login', meta: { sitemap: { ignoreRoute: false } } },
+					]
+				}],
+			})).to.deep.equal(wrapSitemap([
+				'<url><loc>https://website.net/admin/login</loc></url>',
+			]));
+		});
+
 		it("throws an error when dynamic routes are not given slugs", async () => {
 			expect(Promise.resolve(generate({
 				baseURL:   'https://website.net',
@@ -667,6 +950,288 @@ describe("single sitemap generation", () => {
 	 * }}}
 	 */
 
+	/**
+	 * Images
+	 * {{{
+	 * ---------------------------------------------------------------------
+	 */
+	describe("with images", () => {
+
+		const imageNamespace = ' xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"';
+
+		it("adds images to handwritten URLs", async () => {
+			expect(await generate({
+				urls: [{
+					loc:     'https://website.net/product',
+					images:  [
+						{ loc: 'https://website.net/img/1.jpg' },
+						{
+							loc:           'https://website.net/img/2.jpg',
+							caption:       'A "nice" product & its box',
+							geo_location:  'Paris, France',
+							title:         'Product',
+							license:       'https://website.net/license',
+						},
+					],
+				}],
+			})).to.deep.equal(wrapSitemap([
+				'<url>',
+					'<loc>https://website.net/product</loc>',
+					'<image:image><image:loc>https://website.net/img/1.jpg</image:loc></image:image>',
+					'<image:image>',
+						'<image:loc>https://website.net/img/2.jpg</image:loc>',
+						'<image:caption>A &quot;nice&quot; product &amp; its box</image:caption>',
+						'<image:geo_location>Paris, France</image:geo_location>',
+						'<image:title>Product</image:title>',
+						'<image:license>https://website.net/license</image:license>',
+					'</image:image>',
+				'</url>',
+			], imageNamespace));
+		});
+
+		it("adds images to routes and slugs", async () => {
+			expect(await generate({
+				baseURL:  'https://website.net',
+				routes:   [
+					{
+						path: '/about',
+						meta: { sitemap: { images: [{ loc: 'https://website.net/img/team.jpg' }] } },
+					},
+					{
+						path: '/product/:id',
+						meta: {
+							sitemap: {
+								images: [{ loc: 'https://website.net/img/logo.jpg' }],
+								slugs:  [1, { id: 2, images: [{ loc: 'https://website.net/img/2.jpg' }] }],
+							}
+						},
+					},
+				],
+			})).to.deep.equal(wrapSitemap([
+				'<url><loc>https://website.net/about</loc><image:image><image:loc>https://website.net/img/team.jpg</image:loc></image:image></url>',
+				'<url><loc>https://website.net/product/1</loc><image:image><image:loc>https://website.net/img/logo.jpg</image:loc></image:image></url>',
+				'<url><loc>https://website.net/product/2</loc><image:image><image:loc>https://website.net/img/2.jpg</image:loc></image:image></url>',
+			], imageNamespace));
+		});
+
+		it("escapes every special character of the image URLs", async () => {
+			expect(await generate({
+				urls: [{ loc: 'https://website.net/product?id=1&size=2', images: [{ loc: "https://website.net/img.jpg?w=1&h=2&q=3&alt=it's" }] }],
+			})).to.deep.equal(wrapSitemap([
+				'<url>',
+					'<loc>https://website.net/product?id=1&amp;size=2</loc>',
+					'<image:image><image:loc>https://website.net/img.jpg?w=1&amp;h=2&amp;q=3&amp;alt=it&apos;s</image:loc></image:image>',
+				'</url>',
+			], imageNamespace));
+		});
+
+		it("doesn't declare the image namespace when there are no images", async () => {
+			expect(await generate({
+				urls: [{ loc: 'https://website.net/product', images: [] }],
+			})).to.deep.equal(wrapSitemap(
+				'<url><loc>https://website.net/product</loc></url>'
+			));
+		});
+	});
+	/**
+	 * }}}
+	 */
+
+	/**
+	 * Videos
+	 * {{{
+	 * ---------------------------------------------------------------------
+	 */
+	describe("with videos", () => {
+
+		const videoNamespace = ' xmlns:video="http://www.google.com/schemas/sitemap-video/1.1"';
+
+		it("adds videos to handwritten URLs", async () => {
+			expect(await generate({
+				urls: [{
+					loc:     'https://website.net/tutorial',
+					videos:  [{
+						thumbnail_loc:          'https://website.net/thumbs/1.jpg',
+						title:                  'Folding socks',
+						description:            'How to fold socks <fast>',
+						content_loc:            'https://website.net/videos/1.mp4',
+						player_loc:             'https://website.net/player?video=1',
+						duration:               600,
+						expiration_date:        '2021-11-05T19:20:30+08:00',
+						rating:                 4.2,
+						view_count:             12345,
+						publication_date:       '2020-11-05T19:20:30+08:00',
+						family_friendly:        true,
+						restriction:            { relationship: 'allow', countries: ['FR', 'CA'] },
+						platform:               { relationship: 'deny', platforms: ['tv'] },
+						requires_subscription:  false,
+						uploader:               { name: 'Sock Master', info: 'https://website.net/users/sock-master' },
+						live:                   false,
+						tags:                   ['socks', 'laundry'],
+					}],
+				}],
+			})).to.deep.equal(wrapSitemap([
+				'<url>',
+					'<loc>https://website.net/tutorial</loc>',
+					'<video:video>',
+						'<video:thumbnail_loc>https://website.net/thumbs/1.jpg</video:thumbnail_loc>',
+						'<video:title>Folding socks</video:title>',
+						'<video:description>How to fold socks &lt;fast&gt;</video:description>',
+						'<video:content_loc>https://website.net/videos/1.mp4</video:content_loc>',
+						'<video:player_loc>https://website.net/player?video=1</video:player_loc>',
+						'<video:duration>600</video:duration>',
+						'<video:expiration_date>2021-11-05T19:20:30+08:00</video:expiration_date>',
+						'<video:rating>4.2</video:rating>',
+						'<video:view_count>12345</video:view_count>',
+						'<video:publication_date>2020-11-05T19:20:30+08:00</video:publication_date>',
+						'<video:family_friendly>yes</video:family_friendly>',
+						'<video:restriction relationship="allow">FR CA</video:restriction>',
+						'<video:platform relationship="deny">tv</video:platform>',
+						'<video:requires_subscription>no</video:requires_subscription>',
+						'<video:uploader info="https://website.net/users/sock-master">Sock Master</video:uploader>',
+						'<video:live>no</video:live>',
+						'<video:tag>socks</video:tag>',
+						'<video:tag>laundry</video:tag>',
+					'</video:video>',
+				'</url>',
+			], videoNamespace));
+		});
+
+		it("adds videos to routes and slugs", async () => {
+			const video = {
+				thumbnail_loc:  'https://website.net/thumbs/1.jpg',
+				title:          'Folding socks',
+				description:    'How to fold socks',
+				player_loc:     'https://website.net/player?video=1',
+			};
+
+			expect(await generate({
+				baseURL:  'https://website.net',
+				routes:   [
+					{ path: '/about',         meta: { sitemap: { videos: [video]                           } } },
+					{ path: '/tutorial/:id',  meta: { sitemap: { slugs: [{ id: 1, videos: [video] }]       } } },
+				],
+			})).to.deep.equal(wrapSitemap(['/about', '/tutorial/1'].map(path => [
+				'<url>',
+					`<loc>https://website.net${path}</loc>`,
+					'<video:video>',
+						'<video:thumbnail_loc>https://website.net/thumbs/1.jpg</video:thumbnail_loc>',
+						'<video:title>Folding socks</video:title>',
+						'<video:description>How to fold socks</video:description>',
+						'<video:player_loc>https://website.net/player?video=1</video:player_loc>',
+					'</video:video>',
+				'</url>',
+			].join('')), videoNamespace));
+		});
+	});
+	/**
+	 * }}}
+	 */
+
+	/**
+	 * Alternates
+	 * {{{
+	 * ---------------------------------------------------------------------
+	 */
+	describe("with alternate URLs", () => {
+
+		const xhtmlNamespace = ' xmlns:xhtml="http://www.w3.org/1999/xhtml"';
+		const alternateTag   = (hreflang, href) => `<xhtml:link rel="alternate" hreflang="${hreflang}" href="${href}"/>`;
+
+		it("adds alternates to handwritten URLs and routes", async () => {
+			expect(await generate({
+				baseURL:  'https://website.net',
+				urls:     [{ loc: '/about', alternates: [{ hreflang: 'fr', href: '/a-propos' }] }],
+				routes:   [{ path: '/contact', meta: { sitemap: { alternates: [{ hreflang: 'de', href: 'https://website.de/kontakt' }] } } }],
+			})).to.deep.equal(wrapSitemap([
+				`<url><loc>https://website.net/about</loc>${alternateTag('fr', 'https://website.net/a-propos')}</url>`,
+				`<url><loc>https://website.net/contact</loc>${alternateTag('de', 'https://website.de/kontakt')}</url>`,
+			], xhtmlNamespace));
+		});
+
+		it("generates a version of each route for every locale with a prefix", async () => {
+			const alternates = [
+				alternateTag('en',        'https://website.net/en/about'),
+				alternateTag('fr',        'https://website.net/fr/about'),
+				alternateTag('x-default', 'https://website.net/en/about'),
+			].join('');
+
+			expect(await generate({
+				baseURL:  'https://website.net',
+				locales:  { languages: ['en', 'fr'], strategy: 'prefix' },
+				routes:   [{ path: '/about' }],
+			})).to.deep.equal(wrapSitemap([
+				`<url><loc>https://website.net/en/about</loc>${alternates}</url>`,
+				`<url><loc>https://website.net/fr/about</loc>${alternates}</url>`,
+			], xhtmlNamespace));
+		});
+
+		it("prefixes the localized routes with the 'publicPath' option", async () => {
+			const alternates = [
+				alternateTag('en',        'https://website.net/app/en/about'),
+				alternateTag('fr',        'https://website.net/app/fr/about'),
+				alternateTag('x-default', 'https://website.net/app/en/about'),
+			].join('');
+
+			expect(await generate({
+				baseURL:     'https://website.net',
+				publicPath:  '/app',
+				locales:     { languages: ['en', 'fr'], strategy: 'prefix' },
+				routes:      [{ path: '/about' }],
+			})).to.deep.equal(wrapSitemap([
+				`<url><loc>https://website.net/app/en/about</loc>${alternates}</url>`,
+				`<url><loc>https://website.net/app/fr/about</loc>${alternates}</url>`,
+			], xhtmlNamespace));
+		});
+
+		it("generates a version of each route for every locale with a subdomain", async () => {
+			const alternates = [
+				alternateTag('en',        'https://en.website.net/user/1'),
+				alternateTag('fr',        'https://fr.website.net/user/1'),
+				alternateTag('x-default', 'https://fr.website.net/user/1'),
+			].join('');
+
+			expect(await generate({
+				baseURL:  'https://website.net',
+				locales:  { languages: ['en', 'fr'], defaultLanguage: 'fr', strategy: 'subdomain' },
+				routes:   [{ path: '/user/:id', meta: { sitemap: { slugs: [1] } } }],
+			})).to.deep.equal(wrapSitemap([
+				`<url><loc>https://en.website.net/user/1</loc>${alternates}</url>`,
+				`<url><loc>https://fr.website.net/user/1</loc>${alternates}</url>`,
+			], xhtmlNamespace));
+		});
+
+		it("generates a version of each route for every locale with a query parameter", async () => {
+			const alternates = [
+				alternateTag('en',        'https://website.net/about/?lang=en'),
+				alternateTag('de',        'https://website.net/about/?lang=de'),
+				alternateTag('x-default', 'https://website.net/about/?lang=en'),
+				alternateTag('en-GB',     'https://website.co.uk/about/'),
+			].join('');
+
+			expect(await generate({
+				baseURL:        'https://website.net',
+				trailingSlash:  true,
+				locales:        { languages: ['en', 'de'], strategy: 'query', queryParam: 'lang' },
+				routes:         [{ path: '/about', meta: { sitemap: { alternates: [{ hreflang: 'en-GB', href: 'https://website.co.uk/about' }] } } }],
+			})).to.deep.equal(wrapSitemap([
+				`<url><loc>https://website.net/about/?lang=en</loc>${alternates}</url>`,
+				`<url><loc>https://website.net/about/?lang=de</loc>${alternates}</url>`,
+			], xhtmlNamespace));
+		});
+
+		it("throws an error if the default language is not one of the languages", async () => {
+			await expect(generate({
+				baseURL:  'https://website.net',
+				locales:  { languages: ['en', 'fr'], defaultLanguage: 'de' },
+				routes:   [{ path: '/about' }],
+			})).to.be.rejectedWith(/default language/);
+		});
+	});
+	/**
+	 * }}}
+	 */
+
 	/**
 	 * Misc
 	 * {{{
@@ -747,6 +1312,433 @@ describe("multiple sitemaps generation", () => {
 	/**
 	 * }}}
 	 */
+
+	/**
+	 * Limits
+	 * {{{
+	 * ---------------------------------------------------------------------
+	 */
+	it("splits the sitemaps according to the 'maxUrlsPerSitemap' option", async () => {
+		expect(await generate({
+			maxUrlsPerSitemap:  2,
+			urls:               ['https://website.com/1', 'https://website.com/2', 'https://website.com/3'],
+		})).to.deep.equal({
+			'sitemap-part-1': wrapSitemapXML('<url><loc>https://website.com/1</loc></url><url><loc>https://website.com/2</loc></url>'),
+			'sitemap-part-2': wrapSitemapXML('<url><loc>https://website.com/3</loc></url>'),
+			'sitemap-index':  wrapSitemapIndexXML([
+				'<sitemap><loc>/sitemap-part-1.xml</loc></sitemap>',
+				'<sitemap><loc>/sitemap-part-2.xml</loc></sitemap>',
+			]),
+		});
+	});
+
+	it("splits the sitemaps according to their size in bytes", async () => {
+		const urls     = [...Array(20).keys()].map(n => `https://website.com/${'very-long-path/'.repeat(5)}${n}`);
+		const sitemaps = await generate({ maxBytesPerSitemap: 2000, urls }, true);
+
+		expect(Object.keys(sitemaps)).to.have.lengthOf.above(2);
+		Object.values(sitemaps).forEach(sitemap => expect(Buffer.byteLength(sitemap)).to.be.at.most(2000));
+		urls.forEach(url => expect(Object.values(sitemaps).some(sitemap => sitemap.includes(`<loc>${url}</loc>`))).to.be.true);
+	});
+
+	it("throws an error if an URL is too large to fit in a sitemap", async () => {
+		await expect(generate({
+			maxBytesPerSitemap:  500,
+			urls:                [`https://website.com/${'a'.repeat(500)}`],
+		})).to.be.rejectedWith(/too large/);
+	});
+	/**
+	 * }}}
+	 */
+
+	/**
+	 * Index
+	 * {{{
+	 * ---------------------------------------------------------------------
+	 */
+	it("always generates a sitemap index if the 'alwaysIndex' option is set", async () => {
+		expect(await generate({
+			alwaysIndex:  true,
+			urls:         ['https://website.com/1', 'https://website.com/2'],
+		})).to.deep.equal({
+			'sitemap':        wrapSitemapXML('<url><loc>https://website.com/1</loc></url><url><loc>https://website.com/2</loc></url>'),
+			'sitemap-index':  wrapSitemapIndexXML('<sitemap><loc>/sitemap.xml</loc></sitemap>'),
+		});
+	});
+
+	it("prefixes the locations of the sitemaps in the index with the 'publicPath' option", async () => {
+		expect((await generate({
+			baseURL:      'https://website.com',
+			publicPath:   '/app/',
+			alwaysIndex:  true,
+			routes:       [{ path: '/' }],
+		}))['sitemap-index']).to.equal(wrapSitemapIndexXML('<sitemap><loc>https://website.com/app/sitemap.xml</loc></sitemap>'));
+	});
+
+	it("adds the most recent modification date of each sitemap to the index", async () => {
+		expect((await generate({
+			baseURL:            'https://website.com',
+			maxUrlsPerSitemap:  2,
+			urls:               [
+				{ loc: '/1', lastmod: '2020-01-01' },
+				{ loc: '/2', lastmod: '2020-03-01T10:00:00+01:00' },
+				{ loc: '/3' },
+				{ loc: '/4', lastmod: '2019-12-31' },
+				{ loc: '/5' },
+			],
+		}))['sitemap-index']).to.equal(wrapSitemapIndexXML([
+			'<sitemap><loc>https://website.com/sitemap-part-1.xml</loc><lastmod>2020-03-01T10:00:00+01:00</lastmod></sitemap>',
+			'<sitemap><loc>https://website.com/sitemap-part-2.xml</loc><lastmod>2019-12-31</lastmod></sitemap>',
+			'<sitemap><loc>https://website.com/sitemap-part-3.xml</loc></sitemap>',
+		]));
+
+		expect((await generate({
+			alwaysIndex:  true,
+			defaults:     { lastmod: '2020-01-01' },
+			urls:         [{ loc: 'https://website.com/1' }, { loc: 'https://website.com/2', lastmod: '2020-02-01' }],
+		}))['sitemap-index']).to.equal(wrapSitemapIndexXML(
+			'<sitemap><loc>/sitemap.xml</loc><lastmod>2020-02-01</lastmod></sitemap>'
+		));
+	});
+
+	it("adds the external sitemaps to the index", async () => {
+		expect((await generate({
+			baseURL:           'https://website.com',
+			urls:              ['/'],
+			externalSitemaps:  [
+				'https://website.com/blog/sitemap.xml',
+				{ loc: 'https://website.com/docs/sitemap.xml', lastmod: '2020-01-01' },
+			],
+		}))).to.deep.equal({
+			'sitemap':        wrapSitemapXML('<url><loc>https://website.com</loc></url>'),
+			'sitemap-index':  wrapSitemapIndexXML([
+				'<sitemap><loc>https://website.com/sitemap.xml</loc></sitemap>',
+				'<sitemap><loc>https://website.com/blog/sitemap.xml</loc></sitemap>',
+				'<sitemap><loc>https://website.com/docs/sitemap.xml</loc><lastmod>2020-01-01</lastmod></sitemap>',
+			]),
+		});
+	});
+	/**
+	 * }}}
+	 */
+
+	/**
+	 * Groups
+	 * {{{
+	 * ---------------------------------------------------------------------
+	 */
+	it("generates a sitemap for each group set in the 'sitemaps' option", async () => {
+		expect(await generate({
+			baseURL:   'https://website.com',
+			urls:      ['/'],
+			sitemaps:  {
+				blog:      { urls: ['/blog/first-post', '/blog/second-post'], routes: []                  },
+				products:  { urls: [],                                        routes: [{ path: '/shop' }] },
+			},
+		})).to.deep.equal({
+			'sitemap':           wrapSitemapXML('<url><loc>https://website.com</loc></url>'),
+			'sitemap-blog':      wrapSitemapXML([
+				'<url><loc>https://website.com/blog/first-post</loc></url>',
+				'<url><loc>https://website.com/blog/second-post</loc></url>',
+			]),
+			'sitemap-products':  wrapSitemapXML('<url><loc>https://website.com/shop</loc></url>'),
+			'sitemap-index':     wrapSitemapIndexXML([
+				'<sitemap><loc>https://website.com/sitemap.xml</loc></sitemap>',
+				'<sitemap><loc>https://website.com/sitemap-blog.xml</loc></sitemap>',
+				'<sitemap><loc>https://website.com/sitemap-products.xml</loc></sitemap>',
+			]),
+		});
+	});
+
+	it("groups the URLs and the routes according to their 'group' property", async () => {
+		expect(await generate({
+			baseURL:   'https://website.com',
+			urls:      [{ loc: '/blog', group: 'blog' }],
+			routes:    [
+				{
+					path: '/',
+				},
+				{
+					path: '/blog/:post',
+					meta: { sitemap: { group: 'blog', slugs: ['first-post'] } },
+				},
+				{
+					path:      '/shop',
+					meta:      { sitemap: { group: 'products' } },
+					children:  [{ path: 'socks' }],
+				},
+			],
+		})).to.deep.equal({
+			'sitemap-blog':      wrapSitemapXML([
+				'<url><loc>https://website.com/blog</loc></url>',
+				'<url><loc>https://website.com/blog/first-post</loc></url>',
+			]),
+			'sitemap':           wrapSitemapXML('<url><loc>https://website.com</loc></url>'),
+			'sitemap-products':  wrapSitemapXML([
+				'<url><loc>https://website.com/shop</loc></url>',
+				'<url><loc>https://website.com/shop/socks</loc></url>',
+			]),
+			'sitemap-index':     wrapSitemapIndexXML([
+				'<sitemap><loc>https://website.com/sitemap-blog.xml</loc></sitemap>',
+				'<sitemap><loc>https://website.com/sitemap.xml</loc></sitemap>',
+				'<sitemap><loc>https://website.com/sitemap-products.xml</loc></sitemap>',
+			]),
+		});
+	});
+
+	it("splits each group into several sitemaps independently", async () => {
+		expect(await generate({
+			baseURL:            'https://website.com',
+			maxUrlsPerSitemap:  2,
+			urls:               ['/'],
+			sitemaps:           {
+				blog: { urls: ['/blog/1', '/blog/2', '/blog/3'], routes: [] },
+			},
+		})).to.deep.equal({
+			'sitemap':              wrapSitemapXML('<url><loc>https://website.com</loc></url>'),
+			'sitemap-blog-part-1':  wrapSitemapXML('<url><loc>https://website.com/blog/1</loc></url><url><loc>https://website.com/blog/2</loc></url>'),
+			'sitemap-blog-part-2':  wrapSitemapXML('<url><loc>https://website.com/blog/3</loc></url>'),
+			'sitemap-index':        wrapSitemapIndexXML([
+				'<sitemap><loc>https://website.com/sitemap.xml</loc></sitemap>',
+				'<sitemap><loc>https://website.com/sitemap-blog-part-1.xml</loc></sitemap>',
+				'<sitemap><loc>https://website.com/sitemap-blog-part-2.xml</loc></sitemap>',
+			]),
+		});
+	});
+
+	it("passes the group to the template function of the filenames", async () => {
+		expect(await generate({
+			filename:  (index, total, group) => group || 'pages',
+			urls:      ['https://website.com/', { loc: 'https://website.com/blog', group: 'blog' }],
+		})).to.have.all.keys('pages', 'blog', 'sitemap-index');
+	});
+
+	it("throws an error if several sitemaps have the same name", async () => {
+		await expect(generate({
+			filename:  () => 'sitemap-pages',
+			urls:      ['https://website.com/', { loc: 'https://website.com/blog', group: 'blog' }],
+		})).to.be.rejectedWith(/several sitemaps are named 'sitemap-pages'/);
+
+		await expect(generate({
+			urls:      ['https://website.com/', { loc: 'https://website.com/blog', group: 'index' }],
+		})).to.be.rejectedWith(/several sitemaps are named 'sitemap-index'/);
+	});
+	/**
+	 * }}}
+	 */
+
+	/**
+	 * Filenames
+	 * {{{
+	 * ---------------------------------------------------------------------
+	 */
+	it("uses the filenames set in the options", async () => {
+		expect(await generate({
+			filename:           'sitemap-shop',
+			maxUrlsPerSitemap:  1,
+			urls:               ['https://website.com/1', 'https://website.com/2'],
+		})).to.deep.equal({
+			'sitemap-shop-part-1': wrapSitemapXML('<url><loc>https://website.com/1</loc></url>'),
+			'sitemap-shop-part-2': wrapSitemapXML('<url><loc>https://website.com/2</loc></url>'),
+			'sitemap-shop-index':  wrapSitemapIndexXML([
+				'<sitemap><loc>/sitemap-shop-part-1.xml</loc></sitemap>',
+				'<sitemap><loc>/sitemap-shop-part-2.xml</loc></sitemap>',
+			]),
+		});
+
+		expect(await generate({
+			filename:           'sitemap-shop',
+			urls:               ['https://website.com/1'],
+		})).to.have.all.keys('sitemap-shop');
+
+		expect(await generate({
+			baseURL:            'https://website.com',
+			filename:           'sitemap-shop',
+			indexFilename:      'shop-index',
+			maxUrlsPerSitemap:  1,
+			urls:               ['/1', '/2'],
+		})).to.have.all.keys('sitemap-shop-part-1', 'sitemap-shop-part-2', 'shop-index');
+	});
+
+	it("uses a template function for the filenames", async () => {
+		expect(await generate({
+			baseURL:            'https://website.com',
+			filename:           (index, total) => (total > 1) ? `shop-${index}-of-${total}` : 'shop',
+			maxUrlsPerSitemap:  1,
+			urls:               ['/1', '/2'],
+		})).to.deep.equal({
+			'shop-1-of-2':    wrapSitemapXML('<url><loc>https://website.com/1</loc></url>'),
+			'shop-2-of-2':    wrapSitemapXML('<url><loc>https://website.com/2</loc></url>'),
+			'sitemap-index':  wrapSitemapIndexXML([
+				'<sitemap><loc>https://website.com/shop-1-of-2.xml</loc></sitemap>',
+				'<sitemap><loc>https://website.com/shop-2-of-2.xml</loc></sitemap>',
+			]),
+		});
+
+		await expect(generate({
+			filename:  () => null,
+			urls:      ['https://website.com/1'],
+		})).to.be.rejectedWith(/must return a non-empty string/);
+	});
+	/**
+	 * }}}
+	 */
+});
+
+describe("other formats generation", () => {
+
+	it("generates a plain text sitemap", async () => {
+		expect(await generate({
+			formats:   ['txt'],
+			baseURL:   'https://website.net',
+			urls:      ['/', { loc: '/search?q=socks&page=2', changefreq: 'daily' }],
+			routes:    [{ path: '/about' }],
+		}, true)).to.deep.equal({
+			'sitemap.txt': 'https://website.net\nhttps://website.net/search?q=socks&page=2\nhttps://website.net/about\n',
+		});
+	});
+
+	it("generates a JSON sitemap", async () => {
+		const sitemaps = await generate({
+			formats:   ['json'],
+			baseURL:   'https://website.net',
+			defaults:  { changefreq: 'monthly' },
+			urls:      [
+				'/',
+				{ loc: '/search?q=socks&page=2', priority: 0.5, images: [{ loc: 'https://website.net/img/socks.jpg' }] },
+				{ loc: '/about', group: 'pages', alternates: [{ hreflang: 'fr', href: '/a-propos?a=1&b=2' }] },
+			],
+		}, true);
+
+		expect(Object.keys(sitemaps)).to.deep.equal(['sitemap.json', 'sitemap-pages.json']);
+		expect(JSON.parse(sitemaps['sitemap.json'])).to.deep.equal([
+			{ loc: 'https://website.net', changefreq: 'monthly' },
+			{ loc: 'https://website.net/search?q=socks&page=2', changefreq: 'monthly', priority: 0.5, images: [{ loc: 'https://website.net/img/socks.jpg' }] },
+		]);
+		expect(JSON.parse(sitemaps['sitemap-pages.json'])).to.deep.equal([
+			{ loc: 'https://website.net/about', changefreq: 'monthly', alternates: [{ hreflang: 'fr', href: 'https://website.net/a-propos?a=1&b=2' }] },
+		]);
+
+		expect(JSON.parse((await generate({ formats: ['json'], urls: [] }, true))['sitemap.json'])).to.deep.equal([]);
+	});
+
+	it("generates the sitemaps in several formats", async () => {
+		expect(await generate({
+			formats:  ['xml', 'txt'],
+			urls:     ['https://website.net', 'https://website.net/about'],
+		}, true)).to.have.all.keys('sitemap', 'sitemap.txt');
+	});
+
+	it("splits the sitemaps of each format according to the limits", async () => {
+		expect(await generate({
+			formats:            ['txt', 'json'],
+			maxUrlsPerSitemap:  2,
+			urls:               ['https://website.net/1', 'https://website.net/2', 'https://website.net/3'],
+		}, true)).to.deep.equal({
+			'sitemap-part-1.txt':   'https://website.net/1\nhttps://website.net/2\n',
+			'sitemap-part-2.txt':   'https://website.net/3\n',
+			'sitemap-part-1.json':  '[\n\t{"loc":"https://website.net/1"},\n\t{"loc":"https://website.net/2"}\n]',
+			'sitemap-part-2.json':  '[\n\t{"loc":"https://website.net/3"}\n]',
+		});
+
+		// The URLs of the plain text sitemaps are smaller than the XML tags
+		const sitemaps = await generate({
+			formats:             ['xml', 'txt'],
+			maxBytesPerSitemap:  700,
+			urls:                [...Array(20).keys()].map(n => `https://website.net/${n}`),
+		}, true);
+		const filenames = Object.keys(sitemaps).filter(filename => filename != 'sitemap-index');
+
+		expect(filenames.filter(filename => filename.endsWith('.txt'))).to.deep.equal(['sitemap.txt']);
+		expect(filenames.filter(filename => !filename.endsWith('.txt'))).to.have.lengthOf.above(2);
+		filenames.forEach(filename => expect(Buffer.byteLength(sitemaps[filename])).to.be.at.most(700));
+	});
+});
+
+describe("news sitemap generation", () => {
+
+	const now       = Date.now();
+	const hoursAgo  = hours => new Date(now - hours*60*60*1000).toISOString();
+
+	it("generates a news sitemap alongside the regular sitemap", async () => {
+		const date = hoursAgo(2);
+
+		expect(await generate({
+			news: { name: 'The Daily Sock', language: 'en' },
+			urls: [
+				'https://website.net',
+				{ loc: 'https://website.net/news/1', news: { title: 'Socks & shoes', publication_date: date } },
+			],
+		})).to.deep.equal({
+			'sitemap':      wrapSitemapXML('<url><loc>https://website.net</loc></url><url><loc>https://website.net/news/1</loc></url>'),
+			'sitemap-news': wrapNewsSitemapXML([
+				'<url>',
+					'<loc>https://website.net/news/1</loc>',
+					'<news:news>',
+						'<news:publication><news:name>The Daily Sock</news:name><news:language>en</news:language></news:publication>',
+						`<news:publication_date>${date}</news:publication_date>`,
+						'<news:title>Socks &amp; shoes</news:title>',
+					'</news:news>',
+				'</url>',
+			]),
+		});
+	});
+
+	it("doesn't generate a news sitemap if the 'news' option is not set", async () => {
+		expect(await generate({
+			urls: [{ loc: 'https://website.net/news/1', news: { title: 'Socks', publication_date: hoursAgo(2) } }],
+		})).to.have.all.keys('sitemap');
+	});
+
+	it("allows articles to override the publication infos", async () => {
+		const date = hoursAgo(2);
+
+		expect((await generate({
+			news:     { name: 'The Daily Sock', language: 'en' },
+			baseURL:  'https://website.net',
+			routes:   [{
+				path: '/news/:id',
+				meta: { sitemap: { slugs: [{ id: 1, news: { title: 'Chaussettes', publication_date: date, name: 'La Chaussette', language: 'fr' } }] } },
+			}],
+		}))['sitemap-news']).to.equal(wrapNewsSitemapXML([
+			'<url>',
+				'<loc>https://website.net/news/1</loc>',
+				'<news:news>',
+					'<news:publication><news:name>La Chaussette</news:name><news:language>fr</news:language></news:publication>',
+					`<news:publication_date>${date}</news:publication_date>`,
+					'<news:title>Chaussettes</news:title>',
+				'</news:news>',
+			'</url>',
+		]));
+	});
+
+	it("discards the articles older than 48 hours", async () => {
+		const sitemaps = await generate({
+			news: { name: 'The Daily Sock', language: 'en' },
+			urls: [
+				{ loc: 'https://website.net/news/1', news: { title: 'Old news',    publication_date: hoursAgo(49) } },
+				{ loc: 'https://website.net/news/2', news: { title: 'Recent news', publication_date: hoursAgo(47) } },
+			],
+		});
+
+		expect(sitemaps['sitemap-news']).to.include('https://website.net/news/2');
+		expect(sitemaps['sitemap-news']).to.not.include('https://website.net/news/1');
+		expect(sitemaps['sitemap']).to.include('https://website.net/news/1');
+	});
+
+	it("keeps only the 1,000 most recent articles", async () => {
+		const sitemaps = await generate({
+			news: { name: 'The Daily Sock', language: 'en' },
+			urls: [...Array(1001).keys()].map(n => ({
+				loc:   `https://website.net/news/${n}`,
+				news:  { title: `News #${n}`, publication_date: new Date(now - n*1000).toISOString() },
+			})),
+		});
+
+		expect(sitemaps['sitemap-news'].match(/<url>/g)).to.have.lengthOf(1000);
+		expect(sitemaps['sitemap-news']).to.include('https://website.net/news/999<');
+		expect(sitemaps['sitemap-news']).to.not.include('https://website.net/news/1000<');
+	});
 });
 
 /**
@@ -759,6 +1751,11 @@ async function generate(options, pretty = false)
 		baseURL:  '',
 		defaults: {},
 
+		filename:            'sitemap',
+		formats:             ['xml'],
+		maxUrlsPerSitemap:   50000,
+		maxBytesPerSitemap:  52428800,
+
 		routes:   [],
 		urls:     [],
 
@@ -774,22 +1771,30 @@ async function generate(options, pretty = false)
  * Wrap a sitemap inside an object to mimic
  * the output of 'generateSitemaps' with a single sitemap
  */
-function wrapSitemap(sitemap)
+function wrapSitemap(sitemap, namespaces = '')
 {
-	return { sitemap: wrapSitemapXML(sitemap) };
+	return { sitemap: wrapSitemapXML(sitemap, namespaces) };
 }
 
 /**
  * Wrap some XML inside the markup of a sitemap
  */
-function wrapSitemapXML(xml)
+function wrapSitemapXML(xml, namespaces = '')
 {
 	return '<?xml version="1.0" encoding="UTF-8"?>'
-	     + '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">'
+	     + `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"${namespaces}>`
 	         + (Array.isArray(xml) ? xml.join('') : xml)
 	     + '</urlset>';
 }
 
+/**
+ * Wrap some XML inside the markup of a news sitemap
+ */
+function wrapNewsSitemapXML(xml)
+{
+	return wrapSitemapXML(xml, ' xmlns:news="http://www.google.com/schemas/sitemap-news/0.9"');
+}
+
 /**
  * Wrap some XML inside the markup of a sitemap index
  */
@@ -49,6 +49,113 @@ describe("the validation of the options returns an error when:", () => {
 		expect(validate({ baseURL: 'https://127.0.0.1:8000'      })).to.be.true;
 	});
 
+	it("'publicPath' is not an absolute path", () => {
+		expect(validate({ publicPath: true         })).to.be.false;
+		expect(validate({ publicPath: 'app/'       })).to.be.false;
+		expect(validate({ publicPath: './'         })).to.be.false;
+
+		expect(validate({ publicPath: '/'          })).to.be.true;
+		expect(validate({ publicPath: '/app/'      })).to.be.true;
+		expect(validate({ publicPath: '/app/v2'    })).to.be.true;
+	});
+
+	it("'routesFile' is not a path", () => {
+		expect(validate({ routesFile: true            })).to.be.false;
+		expect(validate({ routesFile: ''              })).to.be.false;
+
+		expect(validate({ routesFile: 'src/router.ts' })).to.be.true;
+	});
+
+	it("'incremental' is not a boolean", () => {
+		expect(validate({ incremental: 'yes' })).to.be.false;
+
+		expect(validate({ incremental: true  })).to.be.true;
+	});
+
+	it("'contentHash' is not a string or a number", () => {
+		expect(validate({ urls: [{ loc: '/', contentHash: true }]                                         })).to.be.false;
+		expect(validate({ routes: [{ path: '/', meta: { sitemap: { contentHash: ['abc'] } } }]             })).to.be.false;
+
+		expect(validate({ urls: [{ loc: '/', contentHash: 'abc' }]                                        })).to.be.true;
+		expect(validate({ routes: [{ path: '/', meta: { sitemap: { contentHash: 12 } } }]                  })).to.be.true;
+		expect(validate({ routes: [{ path: '/:id', meta: { sitemap: { slugs: [{ id: 1, contentHash: 'abc' }] } } }] })).to.be.true;
+	});
+
+	it("the filenames are invalid", () => {
+		expect(validate({ filename:      true               })).to.be.false;
+		expect(validate({ filename:      ''                 })).to.be.false;
+		expect(validate({ filename:      'sitemaps/shop'    })).to.be.false;
+		expect(validate({ indexFilename: () => 'index'      })).to.be.false;
+		expect(validate({ indexFilename: '../shop-index'    })).to.be.false;
+
+		expect(validate({ filename:      'sitemap-shop'     })).to.be.true;
+		expect(validate({ filename:      index => `${index}` })).to.be.true;
+		expect(validate({ indexFilename: 'shop-index'       })).to.be.true;
+	});
+
+	it("'alwaysIndex' is not a boolean", () => {
+		expect(validate({ alwaysIndex: 1        })).to.be.false;
+		expect(validate({ alwaysIndex: 'always' })).to.be.false;
+
+		expect(validate({ alwaysIndex: true     })).to.be.true;
+	});
+
+	it("'externalSitemaps' is not an array of full URIs", () => {
+		expect(validate({ externalSitemaps: 'https://website.com/blog/sitemap.xml'                          })).to.be.false;
+		expect(validate({ externalSitemaps: ['/blog/sitemap.xml']                                           })).to.be.false;
+		expect(validate({ externalSitemaps: [{ loc: 'blog/sitemap.xml' }]                                   })).to.be.false;
+		expect(validate({ externalSitemaps: [{ lastmod: '2020-01-01' }]                                     })).to.be.false;
+		expect(validate({ externalSitemaps: [{ loc: 'https://website.com/sitemap.xml', lastmod: 'never' }]  })).to.be.false;
+		expect(validate({ externalSitemaps: [{ loc: 'https://website.com/sitemap.xml', priority: 0.5 }]     })).to.be.false;
+
+		expect(validate({ externalSitemaps: ['https://website.com/blog/sitemap.xml']                        })).to.be.true;
+		expect(validate({ externalSitemaps: [{ loc: 'https://website.com/sitemap.xml', lastmod: 1577836800000 }] })).to.be.true;
+	});
+
+	it("'robots' is not a boolean or a valid object", () => {
+		expect(validate({ robots: 'yes'                                                    })).to.be.false;
+		expect(validate({ robots: { sitemaps: true }                                       })).to.be.false;
+		expect(validate({ robots: { rules: {} }                                            })).to.be.false;
+		expect(validate({ robots: { rules: [{ allow: ['/'] }] }                            })).to.be.false;
+		expect(validate({ robots: { rules: [{ userAgent: '' }] }                           })).to.be.false;
+		expect(validate({ robots: { rules: [{ userAgent: [] }] }                           })).to.be.false;
+		expect(validate({ robots: { rules: [{ userAgent: '*', disallow: '/admin' }] }      })).to.be.false;
+		expect(validate({ robots: { rules: [{ userAgent: '*', crawlDelay: -1 }] }          })).to.be.false;
+		expect(validate({ robots: { disallowIgnoredRoutes: 'yes' }                         })).to.be.false;
+
+		expect(validate({ robots: true                                                     })).to.be.true;
+		expect(validate({ robots: { disallowIgnoredRoutes: true }                          })).to.be.true;
+		expect(validate({ robots: { rules: [{ userAgent: ['Googlebot'], allow: ['/'], disallow: ['/admin'], crawlDelay: 5 }] } })).to.be.true;
+	});
+
+	it("'formats' is not an array of supported formats", () => {
+		expect(validate({ formats: 'txt'          })).to.be.false;
+		expect(validate({ formats: []             })).to.be.false;
+		expect(validate({ formats: ['html']       })).to.be.false;
+		expect(validate({ formats: ['txt', 'txt'] })).to.be.false;
+
+		expect(validate({ formats: ['xml', 'json'] })).to.be.true;
+	});
+
+	it("'gzip' is not a boolean or 'both'", () => {
+		expect(validate({ gzip: 'yes'  })).to.be.false;
+		expect(validate({ gzip: 1      })).to.be.false;
+
+		expect(validate({ gzip: true   })).to.be.true;
+		expect(validate({ gzip: 'both' })).to.be.true;
+	});
+
+	it("the limits of the sitemaps are not valid integers", () => {
+		expect(validate({ maxUrlsPerSitemap:  0          })).to.be.false;
+		expect(validate({ maxUrlsPerSitemap:  50001      })).to.be.false;
+		expect(validate({ maxUrlsPerSitemap:  10.5       })).to.be.false;
+		expect(validate({ maxBytesPerSitemap: '10MB'     })).to.be.false;
+		expect(validate({ maxBytesPerSitemap: 52428801   })).to.be.false;
+
+		expect(validate({ maxUrlsPerSitemap:  1000       })).to.be.true;
+		expect(validate({ maxBytesPerSitemap: 10485760   })).to.be.true;
+	});
+
 	describe("the default URL meta tags are invalid, because", () => {
 
 		it("'defaults' is not an object", () => {
@@ -85,6 +192,13 @@ describe("the validation of the options returns an error when:", () => {
 			expect(validate({ defaults: { lastmod: '2019-12-28T21:17:34'               } })).to.be.true;
 		});
 
+		it("'lastmod' is not a date or a supported strategy", () => {
+			expect(validate({ defaults: { lastmod: 'svn'   } })).to.be.false;
+
+			expect(validate({ defaults: { lastmod: 'git'   } })).to.be.true;
+			expect(validate({ defaults: { lastmod: 'mtime' } })).to.be.true;
+		});
+
 		it("'lastmod' is an invalid timestamp", () => {
 			expect(validate({ defaults: { lastmod: 99999999999999999 } })).to.be.false;
 
@@ -151,6 +265,16 @@ describe("the validation of the options returns an error when:", () => {
 			expect(validate({ routes: [{ path: '/', meta: { sitemap: { loc: '/other'   } }}] })).to.be.true;
 		});
 
+		it("there is a route with an invalid 'source' or 'lastmod' property", () => {
+			expect(validate({ routes: [{ path: '/', meta: { sitemap: { source: true                    } }}] })).to.be.false;
+			expect(validate({ routes: [{ path: '/', meta: { sitemap: { source: ''                      } }}] })).to.be.false;
+			expect(validate({ routes: [{ path: '/', meta: { sitemap: { lastmod: 'svn'                  } }}] })).to.be.false;
+
+			expect(validate({ routes: [{ path: '/', meta: { sitemap: { source: 'src/views/Home.vue'    } }}] })).to.be.true;
+			expect(validate({ routes: [{ path: '/', meta: { sitemap: { lastmod: 'git'                  } }}] })).to.be.true;
+			expect(validate({ routes: [{ path: '/', meta: { sitemap: { lastmod: '2020-01-01'           } }}] })).to.be.true;
+		});
+
 		it("there is a route with invalid URL properties", () => {
 			expect(validate({ routes: [{ path: '/', meta: { sitemap: { changefreq: true        } } }] })).to.be.false;
 			expect(validate({ routes: [{ path: '/', meta: { sitemap: { changefreq: true        } } }] })).to.be.false;
@@ -160,6 +284,17 @@ describe("the validation of the options returns an error when:", () => {
 			expect(validate({ routes: [{ path: '/', meta: { sitemap: { priority:   72          } } }] })).to.be.false;
 		});
 
+		it("there is a nested route with invalid properties", () => {
+			expect(validate({ routes: [{ path: '/', children: {}                                                     }] })).to.be.false;
+			expect(validate({ routes: [{ path: '/', children: [{}]                                                   }] })).to.be.false;
+			expect(validate({ routes: [{ path: '/', children: [{ path: 2 }]                                          }] })).to.be.false;
+			expect(validate({ routes: [{ path: '/', children: [{ path: 'a', children: [{ path: true }] }]            }] })).to.be.false;
+			expect(validate({ routes: [{ path: '/', children: [{ path: 'a', meta: { sitemap: { priority: 72 } } }]   }] })).to.be.false;
+
+			expect(validate({ routes: [{ path: '/', children: [{ path: 'a', children: [{ path: 'b' }] }]            }] })).to.be.true;
+			expect(validate({ routes: [{ path: '/', children: [{ path: 'a', meta: { sitemap: { priority: 0.2 } } }] }] })).to.be.true;
+		});
+
 		it("a route has invalid slugs", () => {
 			// Property 'slugs' is object
 			expect(validate({ routes: [{ path: '/user/:pseudo',   meta: { sitemap: { slugs: {}                                        } } }] })).to.be.false;
@@ -169,16 +304,22 @@ describe("the validation of the options returns an error when:", () => {
 			expect(validate({ routes: [{ path: '/article/:title', meta: { sitemap: { slugs: [false, 'title']                          } } }] })).to.be.false;
 			expect(validate({ routes: [{ path: '/article/:title', meta: { sitemap: { slugs: { title: null }                           } } }] })).to.be.false;
 			expect(validate({ routes: [{ path: '/article/:title', meta: { sitemap: { slugs: { title: {} }                             } } }] })).to.be.false;
-			// No value for slug
-			expect(validate({ routes: [{ path: '/user/:pseudo',   meta: { sitemap: { slugs: [{}]                                      } } }] })).to.be.false;
-			expect(validate({ routes: [{ path: '/user/:pseudo',   meta: { sitemap: { slugs: [{ changefreq: 'yearly', priority: 1.0 }] } } }] })).to.be.false;
+			// Invalid values for a repeatable parameter
+			expect(validate({ routes: [{ path: '/files/:path*',   meta: { sitemap: { slugs: [{ path: [{}] }]                          } } }] })).to.be.false;
+			expect(validate({ routes: [{ path: '/files/:path*',   meta: { sitemap: { slugs: [{ path: [true, 'docs'] }]                } } }] })).to.be.false;
 
 			expect(validate({ routes: [{ path: '/user/:pseudo',   meta: { sitemap: { slugs: ['ok', 'pseudo']                          } } }] })).to.be.true;
 			expect(validate({ routes: [{ path: '/user/:pseudo',   meta: { sitemap: { slugs: ['ok', { pseudo: 'pseudo'}]               } } }] })).to.be.true;
 			expect(validate({ routes: [{ path: '/user/:pseudo',   meta: { sitemap: { slugs: [{ pseudo: 'ok' }]                        } } }] })).to.be.true;
 			expect(validate({ routes: [{ path: '/user/:pseudo',   meta: { sitemap: { slugs: [{ pseudo: 'ok', priority: 0.2 }]         } } }] })).to.be.true;
+			// No value for the parameters (which can be optional)
+			expect(validate({ routes: [{ path: '/docs/:section?', meta: { sitemap: { slugs: [{}]                                      } } }] })).to.be.true;
+			expect(validate({ routes: [{ path: '/docs/:section?', meta: { sitemap: { slugs: [{ changefreq: 'yearly', priority: 1.0 }] } } }] })).to.be.true;
 			expect(validate({ routes: [{ path: '/user/:pseudo',   meta: { sitemap: { slugs: () => ['ok']                              } } }] })).to.be.true;
 			expect(validate({ routes: [{ path: '/user/:pseudo',   meta: { sitemap: { slugs: async () => ['ok']                        } } } ] })).to.be.true;
+			expect(validate({ routes: [{ path: '/files/:path*',   meta: { sitemap: { slugs: [{ path: ['docs', 'index'] }]             } } }] })).to.be.true;
+			expect(validate({ routes: [{ path: '/user/:pseudo',   meta: { sitemap: { slugs: (async function*() { yield 'ok' })()      } } }] })).to.be.true;
+			expect(validate({ routes: [{ path: '/user/:pseudo',   meta: { sitemap: { slugs: new Set(['ok'])                           } } }] })).to.be.true;
 		});
 
 		it("a route has slugs with invalid meta tags", () => {
@@ -189,6 +330,221 @@ describe("the validation of the options returns an error when:", () => {
 		});
 	});
 
+	/**
+	 * Images
+	 * ---------------------------------------------------------------------
+	 */
+	describe("the images are invalid, because", () => {
+
+		it("'images' is not an array of objects", () => {
+			expect(optionsValidator({ urls: [{ loc: 'https://website.com', images: {}                        }] })).to.be.false;
+			expect(optionsValidator({ urls: [{ loc: 'https://website.com', images: ['https://website.com/1.jpg'] }] })).to.be.false;
+
+			expect(optionsValidator({ urls: [{ loc: 'https://website.com', images: []                        }] })).to.be.true;
+		});
+
+		it("an image is missing its location or has an invalid one", () => {
+			expect(optionsValidator({ urls: [{ loc: 'https://website.com', images: [{ title: 'Image' }]     }] })).to.be.false;
+			expect(optionsValidator({ urls: [{ loc: 'https://website.com', images: [{ loc: 'not an URI' }]  }] })).to.be.false;
+			expect(optionsValidator({ urls: [{ loc: 'https://website.com', images: [{ loc: 5 }]             }] })).to.be.false;
+		});
+
+		it("an image has invalid or extraneous properties", () => {
+			expect(optionsValidator({ urls: [{ loc: 'https://website.com', images: [{ loc: 'https://website.com/1.jpg', caption: 5          }] }] })).to.be.false;
+			expect(optionsValidator({ urls: [{ loc: 'https://website.com', images: [{ loc: 'https://website.com/1.jpg', license: 'CC0'     }] }] })).to.be.false;
+			expect(optionsValidator({ urls: [{ loc: 'https://website.com', images: [{ loc: 'https://website.com/1.jpg', width: 200         }] }] })).to.be.false;
+
+			expect(optionsValidator({ urls: [{ loc: 'https://website.com', images: [{ loc: 'https://website.com/1.jpg', caption: 'Image'   }] }] })).to.be.true;
+		});
+
+		it("a route or a slug has invalid images", () => {
+			expect(validate({ routes: [{ path: '/',          meta: { sitemap: { images: [{ title: 'Image' }]                  } } }] })).to.be.false;
+			expect(validate({ routes: [{ path: '/user/:id',  meta: { sitemap: { slugs: [{ id: 1, images: [{ title: 'Image' }] }] } } }] })).to.be.false;
+
+			expect(validate({ routes: [{ path: '/',          meta: { sitemap: { images: [{ loc: 'https://url.com/1.jpg' }]                  } } }] })).to.be.true;
+			expect(validate({ routes: [{ path: '/user/:id',  meta: { sitemap: { slugs: [{ id: 1, images: [{ loc: 'https://url.com/1.jpg' }] }] } } }] })).to.be.true;
+		});
+	});
+
+	/**
+	 * Videos
+	 * ---------------------------------------------------------------------
+	 */
+	describe("the videos are invalid, because", () => {
+
+		const video = {
+			thumbnail_loc:  'https://website.com/thumb.jpg',
+			title:          'Video',
+			description:    'A video',
+			content_loc:    'https://website.com/video.mp4',
+		};
+		const validateVideo = props => optionsValidator({ urls: [{ loc: 'https://website.com', videos: [{ ...video, ...props }] }] });
+
+		it("'videos' is not an array of objects", () => {
+			expect(optionsValidator({ urls: [{ loc: 'https://website.com', videos: {}                            }] })).to.be.false;
+			expect(optionsValidator({ urls: [{ loc: 'https://website.com', videos: ['https://website.com/1.mp4'] }] })).to.be.false;
+
+			expect(optionsValidator({ urls: [{ loc: 'https://website.com', videos: []                            }] })).to.be.true;
+			expect(validateVideo({})).to.be.true;
+		});
+
+		it("a video is missing a required property", () => {
+			expect(validateVideo({ thumbnail_loc: undefined })).to.be.false;
+			expect(validateVideo({ title:         undefined })).to.be.false;
+			expect(validateVideo({ description:   undefined })).to.be.false;
+		});
+
+		it("a video has neither a content location nor a player location", () => {
+			expect(validateVideo({ content_loc: undefined                                               })).to.be.false;
+
+			expect(validateVideo({ content_loc: undefined, player_loc: 'https://website.com/player?v=1' })).to.be.true;
+		});
+
+		it("a video has invalid properties", () => {
+			expect(validateVideo({ description:      'a'.repeat(2049)                                  })).to.be.false;
+			expect(validateVideo({ duration:         0                                                 })).to.be.false;
+			expect(validateVideo({ duration:         28801                                             })).to.be.false;
+			expect(validateVideo({ rating:           5.5                                               })).to.be.false;
+			expect(validateVideo({ view_count:       -1                                                })).to.be.false;
+			expect(validateVideo({ publication_date: 'yesterday'                                       })).to.be.false;
+			expect(validateVideo({ expiration_date:  'tomorrow'                                        })).to.be.false;
+			expect(validateVideo({ family_friendly:  'yes'                                             })).to.be.false;
+			expect(validateVideo({ restriction:      { relationship: 'maybe', countries: ['FR'] }      })).to.be.false;
+			expect(validateVideo({ restriction:      { relationship: 'allow', countries: ['France'] }  })).to.be.false;
+			expect(validateVideo({ platform:         { relationship: 'allow', platforms: ['console'] } })).to.be.false;
+			expect(validateVideo({ uploader:         { info: 'https://website.com/me' }                })).to.be.false;
+			expect(validateVideo({ tags:             [...Array(33).keys()].map(n => `tag-${n}`)        })).to.be.false;
+			expect(validateVideo({ resolution:       '1080p'                                           })).to.be.false;
+
+			expect(validateVideo({ duration:         600                                               })).to.be.true;
+			expect(validateVideo({ publication_date: '2020-01-01'                                      })).to.be.true;
+			expect(validateVideo({ restriction:      { relationship: 'deny', countries: ['FR', 'US'] } })).to.be.true;
+			expect(validateVideo({ platform:         { relationship: 'allow', platforms: ['web'] }     })).to.be.true;
+			expect(validateVideo({ uploader:         { name: 'Me', info: 'https://website.com/me' }    })).to.be.true;
+		});
+
+		it("a route or a slug has invalid videos", () => {
+			expect(validate({ routes: [{ path: '/',         meta: { sitemap: { videos: [{ title: 'Video' }]                  } } }] })).to.be.false;
+			expect(validate({ routes: [{ path: '/user/:id', meta: { sitemap: { slugs: [{ id: 1, videos: [{ title: 'Video' }] }] } } }] })).to.be.false;
+
+			expect(validate({ routes: [{ path: '/',         meta: { sitemap: { videos: [video]                               } } }] })).to.be.true;
+			expect(validate({ routes: [{ path: '/user/:id', meta: { sitemap: { slugs: [{ id: 1, videos: [video] }]           } } }] })).to.be.true;
+		});
+	});
+
+	/**
+	 * News
+	 * ---------------------------------------------------------------------
+	 */
+	describe("the news infos are invalid, because", () => {
+
+		it("the 'news' option is missing a property or has invalid ones", () => {
+			expect(validate({ news: true                                                 })).to.be.false;
+			expect(validate({ news: { name: 'The Daily Sock'                           } })).to.be.false;
+			expect(validate({ news: { language: 'en'                                   } })).to.be.false;
+			expect(validate({ news: { name: 'The Daily Sock', language: 'english'      } })).to.be.false;
+			expect(validate({ news: { name: '', language: 'en'                         } })).to.be.false;
+			expect(validate({ news: { name: 'The Daily Sock', language: 'en', genre: 1 } })).to.be.false;
+
+			expect(validate({ news: { name: 'The Daily Sock', language: 'en'           } })).to.be.true;
+			expect(validate({ news: { name: 'The Daily Sock', language: 'zh-cn'        } })).to.be.true;
+		});
+
+		it("an article is missing a property or has invalid ones", () => {
+			const validateArticle = news => optionsValidator({ urls: [{ loc: 'https://website.com', news }] });
+
+			expect(validateArticle({ title: 'News'                                                    })).to.be.false;
+			expect(validateArticle({ publication_date: '2020-01-01'                                   })).to.be.false;
+			expect(validateArticle({ title: 'News', publication_date: 'yesterday'                     })).to.be.false;
+			expect(validateArticle({ title: 'News', publication_date: '2020-01-01', language: 'fr-FR' })).to.be.false;
+			expect(validateArticle({ title: 'News', publication_date: '2020-01-01', keywords: 'news'  })).to.be.false;
+
+			expect(validateArticle({ title: 'News', publication_date: '2020-01-01'                    })).to.be.true;
+			expect(validateArticle({ title: 'News', publication_date: '2020-01-01', language: 'fr'    })).to.be.true;
+		});
+	});
+
+	/**
+	 * Locales and alternates
+	 * ---------------------------------------------------------------------
+	 */
+	describe("the locales or the alternates are invalid, because", () => {
+
+		it("the 'locales' option is missing the languages or has invalid properties", () => {
+			expect(validate({ locales: true                                                     })).to.be.false;
+			expect(validate({ locales: {}                                                       })).to.be.false;
+			expect(validate({ locales: { languages: []                                        } })).to.be.false;
+			expect(validate({ locales: { languages: ['en', 'en']                              } })).to.be.false;
+			expect(validate({ locales: { languages: ['english']                               } })).to.be.false;
+			expect(validate({ locales: { languages: ['en'], defaultLanguage: 5                } })).to.be.false;
+			expect(validate({ locales: { languages: ['en'], strategy: 'path'                  } })).to.be.false;
+			expect(validate({ locales: { languages: ['en'], queryParam: ''                    } })).to.be.false;
+
+			expect(validate({ locales: { languages: ['en', 'fr', 'en-GB']                     } })).to.be.true;
+			expect(validate({ locales: { languages: ['en', 'fr'], defaultLanguage: 'fr'       } })).to.be.true;
+			expect(validate({ locales: { languages: ['en', 'fr'], strategy: 'subdomain'       } })).to.be.true;
+			expect(validate({ locales: { languages: ['en'], strategy: 'query', queryParam: 'l' } })).to.be.true;
+		});
+
+		it("some alternates are missing a property or have invalid ones", () => {
+			const validateAlternate = alternate => optionsValidator({ urls: [{ loc: 'https://website.com', alternates: [alternate] }] });
+
+			expect(validateAlternate({ hreflang: 'fr'                                          })).to.be.false;
+			expect(validateAlternate({ href: 'https://website.fr'                              })).to.be.false;
+			expect(validateAlternate({ hreflang: 'french', href: 'https://website.fr'          })).to.be.false;
+			expect(validateAlternate({ hreflang: 'fr', href: 'https://website.fr', rel: 'alt'  })).to.be.false;
+
+			expect(validateAlternate({ hreflang: 'fr', href: 'https://website.fr'              })).to.be.true;
+			expect(validateAlternate({ hreflang: 'fr-CA', href: 'https://website.ca'           })).to.be.true;
+			expect(validateAlternate({ hreflang: 'x-default', href: 'https://website.com'      })).to.be.true;
+		});
+	});
+
+	/**
+	 * Groups
+	 * ---------------------------------------------------------------------
+	 */
+	describe("the groups of sitemaps are invalid, because", () => {
+
+		it("'sitemaps' is not an object of named sitemaps", () => {
+			expect(optionsValidator({ sitemaps: []                                          })).to.be.false;
+			expect(optionsValidator({ sitemaps: {}                                          })).to.be.false;
+			expect(optionsValidator({ sitemaps: { blog: [] }                                })).to.be.false;
+			expect(optionsValidator({ sitemaps: { 'blog/posts': { urls: [] } }              })).to.be.false;
+			expect(optionsValidator({ sitemaps: { blog: { urls: [], pretty: true } }        })).to.be.false;
+
+			expect(optionsValidator({ sitemaps: { blog: { urls: ['https://website.com'] } } })).to.be.true;
+		});
+
+		it("a named sitemap has invalid URLs or routes", () => {
+			expect(optionsValidator({ sitemaps: { blog: { urls: ['/blog']                       } } })).to.be.false;
+			expect(optionsValidator({ sitemaps: { blog: { urls: [{ changefreq: 'always' }]      } } })).to.be.false;
+			expect(optionsValidator({ sitemaps: { blog: { routes: [{ meta: {} }]                } } })).to.be.false;
+			expect(optionsValidator({ baseURL: 'https://website.com', sitemaps: { blog: { urls: ['https://website.com/blog'] } } })).to.be.false;
+
+			expect(optionsValidator({ baseURL: 'https://website.com', sitemaps: { blog: { urls: ['/blog'], routes: [{ path: '/blog/:post', meta: { sitemap: { slugs: ['hello'] } } }] } } })).to.be.true;
+		});
+
+		it("some routes are passed without a base URL", () => {
+			expect(optionsValidator({ routes: [{ path: '/' }]                                                                  })).to.be.false;
+			expect(optionsValidator({ urls: ['https://website.com'], sitemaps: { blog: { routes: [{ path: '/post' }] } }       })).to.be.false;
+
+			expect(optionsValidator({ urls: ['https://website.com'], sitemaps: { blog: { routes: [] } }                         })).to.be.true;
+			expect(optionsValidator({ baseURL: 'https://website.com', sitemaps: { blog: { routes: [{ path: '/post' }] } }      })).to.be.true;
+		});
+
+		it("a route or an URL has an invalid group", () => {
+			expect(validate({ urls: [{ loc: '/about', group: true         }]                         })).to.be.false;
+			expect(validate({ urls: [{ loc: '/about', group: 'pages/main' }]                         })).to.be.false;
+			expect(validate({ routes: [{ path: '/about', meta: { sitemap: { group: 1 } } }]          })).to.be.false;
+			expect(validate({ routes: [{ path: '/:id', meta: { sitemap: { slugs: [{ id: 1, group: '../../etc' }] } } }] })).to.be.false;
+
+			expect(validate({ urls: [{ loc: '/about', group: 'pages' }]                              })).to.be.true;
+			expect(validate({ routes: [{ path: '/about', meta: { sitemap: { group: 'pages' } } }]    })).to.be.true;
+			expect(validate({ routes: [{ path: '/:id', meta: { sitemap: { slugs: [{ id: 1, group: 'pages' }] } } }]     })).to.be.true;
+		});
+	});
+
 	/**
 	 * URLs
 	 * ---------------------------------------------------------------------
@@ -0,0 +1,110 @@
+
+/**
+ * tests/webpack-plugin.test.js
+ */
+
+const zlib                     = require('zlib');
+const { expect }               = require('chai');
+
+const { SitemapWebpackPlugin } = require('../src/webpack-plugin');
+
+describe("the webpack plugin", () => {
+
+	const options = {
+		baseURL: 'https://website.net',
+		routes:  [{ path: '/' }, { path: '/about' }],
+	};
+
+	it("emits the sitemaps as assets", async () => {
+		const compilation = await compile(new SitemapWebpackPlugin({ ...options, formats: ['xml', 'txt'], maxUrlsPerSitemap: 1 }));
+
+		expect(compilation.errors).to.be.empty;
+		expect(compilation.assets).to.have.all.keys(['sitemap-part-1.xml', 'sitemap-part-2.xml', 'sitemap-index.xml', 'sitemap-part-1.txt', 'sitemap-part-2.txt']);
+		expect(compilation.assets['sitemap-part-2.xml'].source()).to.include('<loc>https://website.net/about</loc>');
+		expect(compilation.assets['sitemap-part-2.xml'].size()).to.equal(Buffer.byteLength(compilation.assets['sitemap-part-2.xml'].source()));
+	});
+
+	it("emits the sitemaps with the API of webpack 5", async () => {
+		const compilation = await compile(new SitemapWebpackPlugin({ ...options, robots: true }), { 'robots.txt': 'User-agent: *\nDisallow: /cgi-bin\n' }, true);
+
+		expect(compilation.errors).to.be.empty;
+		expect(compilation.assets['sitemap.xml'].raw).to.include('<loc>https://website.net/about</loc>');
+		expect(compilation.assets['robots.txt'].raw).to.include('User-agent: *\nDisallow: /cgi-bin\n');
+		expect(compilation.assets['robots.txt'].raw).to.include('Sitemap: https://website.net/sitemap.xml');
+	});
+
+	it("compresses the sitemaps if the 'gzip' option is set", async () => {
+		let compilation = await compile(new SitemapWebpackPlugin({ ...options, gzip: true }));
+
+		expect(Object.keys(compilation.assets)).to.deep.equal(['sitemap.xml.gz']);
+		expect(zlib.gunzipSync(compilation.assets['sitemap.xml.gz'].source()).toString()).to.include('<loc>https://website.net/about</loc>');
+
+		compilation = await compile(new SitemapWebpackPlugin({ ...options, gzip: 'both' }));
+		expect(Object.keys(compilation.assets)).to.deep.equal(['sitemap.xml.gz', 'sitemap.xml']);
+	});
+
+	it("emits the sitemaps in the output directory set in the options", async () => {
+		const compilation = await compile(new SitemapWebpackPlugin({ ...options, outputDir: 'dist/seo' }));
+
+		expect(Object.keys(compilation.assets)).to.deep.equal(['seo/sitemap.xml']);
+	});
+
+	it("emits the manifest in incremental mode and reuses it on the next compilation", async () => {
+		const plugin = new SitemapWebpackPlugin({ ...options, gzip: true, incremental: true, defaults: { lastmod: '2020-01-01' } }, null);
+
+		let compilation = await compile(plugin);
+		expect(Object.keys(compilation.assets)).to.deep.equal(['sitemap.xml.gz', 'sitemap-manifest.json']);
+
+		plugin.options.defaults.lastmod = '2021-01-01';
+		compilation = await compile(plugin);
+		expect(zlib.gunzipSync(compilation.assets['sitemap.xml.gz'].source()).toString()).to.include('<lastmod>2020-01-01</lastmod>');
+	});
+
+	it("calls the function returning the options on each compilation", async () => {
+		const routes = [{ path: '/' }];
+		const plugin = new SitemapWebpackPlugin(async () => ({ baseURL: 'https://website.net', routes }));
+
+		expect((await compile(plugin)).assets['sitemap.xml'].source()).to.not.include('/blog');
+		routes.push({ path: '/blog' });
+		expect((await compile(plugin)).assets['sitemap.xml'].source()).to.include('<loc>https://website.net/blog</loc>');
+	});
+
+	it("reports the errors in the compilation", async () => {
+		const compilation = await compile(new SitemapWebpackPlugin({ baseURL: 'https://website.net', routes: [{ path: '/user/:id' }] }));
+
+		expect(compilation.assets).to.be.empty;
+		expect(compilation.errors).to.have.lengthOf(1);
+		expect(compilation.errors[0].message).to.match(/need slugs/);
+	});
+});
+
+/**
+ * Run the 'emit' hook of a plugin with a fake compiler and compilation
+ */
+async function compile(plugin, assets = {}, isWebpack5 = false)
+{
+	let emit;
+	const compiler = {
+		context:  '/app',
+		options:  { output: { path: '/app/dist' } },
+		hooks:    { emit: { tapPromise: (name, fn) => emit = fn } },
+	};
+	const compilation = {
+		errors: [],
+		assets: Object.keys(assets).reduce((sources, filename) => ({ ...sources, [filename]: { source: () => assets[filename] } }), {}),
+	};
+
+	if (isWebpack5)
+	{
+		compiler.webpack = { sources: { RawSource: function(raw) { this.raw = raw; this.source = () => raw; } } };
+
+		compilation.getAsset    = filename => compilation.assets[filename];
+		compilation.emitAsset   = (filename, source) => compilation.assets[filename] = source;
+		compilation.updateAsset = (filename, source) => compilation.assets[filename] = source;
+	}
+
+	plugin.apply(compiler);
+	await emit(compilation);
+
+	return compilation;
+}
@@ -0,0 +1,243 @@
+
+/**
+ * tests/writer.test.js
+ */
+
+const fs                   = require('fs');
+const os                   = require('os');
+const path                 = require('path');
+const zlib                 = require('zlib');
+const chai                 = require("chai");
+const expect               = chai.expect;
+const chaiAsPromised       = require("chai-as-promised");
+
+const { writeSitemaps }    = require('../src/writer');
+const { generateSitemaps } = require('../src/sitemap');
+
+chai.use(chaiAsPromised);
+
+const defaultOptions = {
+	baseURL:             '',
+	defaults:            {},
+	routes:              [],
+	urls:                [],
+	filename:            'sitemap',
+	formats:             ['xml'],
+	maxUrlsPerSitemap:   50000,
+	maxBytesPerSitemap:  52428800,
+};
+
+describe("streamed sitemap writing", () => {
+
+	let outputDir;
+	beforeEach(() => outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitemap-')));
+	afterEach(()  => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+	it("writes the same sitemap as the one generated in memory", async () => {
+		const options = {
+			baseURL:  'https://website.net',
+			urls:     ['/', { loc: '/about', images: [{ loc: 'https://website.net/img/team.jpg' }] }],
+			routes:   [{ path: '/user/:id', meta: { sitemap: { changefreq: 'monthly', slugs: [1, 2, 3] } } }],
+		};
+
+		expect(await write(options)).to.deep.equal(['sitemap.xml']);
+		expect(read('sitemap.xml')).to.equal(minify((await generate(options)).sitemap));
+	});
+
+	it("keeps tabs and line breaks when option 'pretty' is specified", async () => {
+		const options = { pretty: true, urls: ['https://website.net', 'https://website.net/about'] };
+
+		await write(options);
+		expect(read('sitemap.xml')).to.equal((await generate(options)).sitemap);
+	});
+
+	it("writes an empty sitemap if there are no URLs", async () => {
+		await write({ baseURL: 'https://website.net', routes: [{ path: '/admin', meta: { sitemap: { ignoreRoute: true } } }] });
+
+		expect(read('sitemap.xml')).to.equal(minify((await generate({ urls: [] })).sitemap));
+	});
+
+	it("splits the URLs into several sitemaps and writes a sitemap index", async function() {
+		// Generating more than 50,000 URLs (twice) can take a few seconds on a slow machine
+		this.timeout(20000);
+
+		async function* generateSlugs()
+		{
+			for (let n=1; n<=50001; n++)
+				yield n;
+		}
+		const options = {
+			baseURL:  'https://website.net',
+			routes:   [{ path: '/user/:id', meta: { sitemap: { slugs: generateSlugs } } }],
+		};
+
+		expect(await write(options)).to.deep.equal(['sitemap-part-1.xml', 'sitemap-part-2.xml', 'sitemap-index.xml']);
+
+		const sitemaps = await generate({ ...options, routes: [{ path: '/user/:id', meta: { sitemap: { slugs: generateSlugs } } }] });
+		expect(read('sitemap-part-1.xml')).to.equal(minify(sitemaps['sitemap-part-1']));
+		expect(read('sitemap-part-2.xml')).to.equal(minify(sitemaps['sitemap-part-2']));
+		expect(read('sitemap-index.xml')).to.equal(minify(sitemaps['sitemap-index']));
+	});
+
+	it("splits the sitemaps according to the limits set in the options", async () => {
+		const options = {
+			maxUrlsPerSitemap:   3,
+			maxBytesPerSitemap:  1000,
+			urls:                [...Array(10).keys()].map(n => `https://website.net/${'very-long-path/'.repeat(n % 3 ? 1 : 5)}${n}`),
+		};
+		const sitemaps  = await generate(options);
+		const filenames = await write(options);
+
+		expect(filenames).to.have.members(Object.keys(sitemaps).map(sitemap => `${sitemap}.xml`));
+		filenames.forEach(filename => expect(read(filename)).to.equal(minify(sitemaps[filename.replace(/\.xml$/, '')])));
+	});
+
+	it("always writes a sitemap index if the 'alwaysIndex' option is set", async () => {
+		const options = { alwaysIndex: true, urls: [{ loc: 'https://website.net', lastmod: '2020-01-01' }] };
+
+		expect(await write(options)).to.deep.equal(['sitemap.xml', 'sitemap-index.xml']);
+		expect(read('sitemap-index.xml')).to.equal(minify((await generate(options))['sitemap-index']));
+		expect(read('sitemap-index.xml')).to.include('<lastmod>2020-01-01</lastmod>');
+	});
+
+	it("writes a sitemap index with the external sitemaps", async () => {
+		const options = { urls: ['https://website.net'], externalSitemaps: ['https://website.net/blog/sitemap.xml'] };
+
+		expect(await write(options)).to.deep.equal(['sitemap.xml', 'sitemap-index.xml']);
+		expect(read('sitemap-index.xml')).to.equal(minify((await generate(options))['sitemap-index']));
+	});
+
+	it("writes the sitemaps in every format", async () => {
+		const options = {
+			formats:            ['xml', 'txt', 'json'],
+			maxUrlsPerSitemap:  2,
+			urls:               ['https://website.net', 'https://website.net/about?a=1&b=2', 'https://website.net/contact'],
+		};
+		const sitemaps = await generate(options);
+
+		expect(await write(options)).to.deep.equal([
+			'sitemap-part-1.xml', 'sitemap-part-2.xml', 'sitemap-index.xml',
+			'sitemap-part-1.txt', 'sitemap-part-2.txt',
+			'sitemap-part-1.json', 'sitemap-part-2.json',
+		]);
+		expect(read('sitemap-part-1.xml')).to.equal(minify(sitemaps['sitemap-part-1']));
+		['sitemap-part-1.txt', 'sitemap-part-2.txt', 'sitemap-part-1.json', 'sitemap-part-2.json'].forEach(filename => expect(read(filename)).to.equal(sitemaps[filename]));
+	});
+
+	it("writes the news sitemap", async () => {
+		const options = {
+			news: { name: 'The Daily Sock', language: 'en' },
+			urls: [{ loc: 'https://website.net/news/1', news: { title: 'Socks', publication_date: new Date().toISOString() } }],
+		};
+
+		expect(await write(options)).to.deep.equal(['sitemap.xml', 'sitemap-news.xml']);
+		expect(read('sitemap-news.xml')).to.equal(minify((await generate(options))['sitemap-news']));
+	});
+
+	it("compresses the sitemaps if the 'gzip' option is set", async () => {
+		const options = {
+			gzip:               true,
+			maxUrlsPerSitemap:  1,
+			urls:               ['https://website.net', 'https://website.net/about'],
+		};
+		const sitemaps = await generate(options);
+
+		expect(await write(options)).to.deep.equal(['sitemap-part-1.xml.gz', 'sitemap-part-2.xml.gz', 'sitemap-index.xml.gz']);
+		expect(fs.readdirSync(outputDir)).to.have.members(['sitemap-part-1.xml.gz', 'sitemap-part-2.xml.gz', 'sitemap-index.xml.gz']);
+
+		expect(gunzip('sitemap-part-1.xml.gz')).to.equal(minify(sitemaps['sitemap-part-1']));
+		expect(gunzip('sitemap-part-2.xml.gz')).to.equal(minify(sitemaps['sitemap-part-2']));
+		expect(gunzip('sitemap-index.xml.gz')).to.equal(minify(sitemaps['sitemap-index']));
+		expect(gunzip('sitemap-index.xml.gz')).to.include('<loc>/sitemap-part-1.xml.gz</loc>');
+	});
+
+	it("keeps the uncompressed sitemaps if the 'gzip' option is set to 'both'", async () => {
+		const options = { gzip: 'both', urls: ['https://website.net'] };
+
+		expect(await write(options)).to.deep.equal(['sitemap.xml', 'sitemap.xml.gz']);
+		expect(gunzip('sitemap.xml.gz')).to.equal(read('sitemap.xml'));
+	});
+
+	it("uses the filenames set in the options", async () => {
+		expect(await write({
+			filename:           'sitemap-shop',
+			maxUrlsPerSitemap:  1,
+			gzip:               'both',
+			news:               { name: 'The Daily Sock', language: 'en' },
+			urls:               ['https://website.net', 'https://website.net/about'],
+		})).to.deep.equal([
+			'sitemap-shop-part-1.xml', 'sitemap-shop-part-1.xml.gz',
+			'sitemap-shop-part-2.xml', 'sitemap-shop-part-2.xml.gz',
+			'sitemap-shop-index.xml',  'sitemap-shop-index.xml.gz',
+			'sitemap-shop-news.xml',   'sitemap-shop-news.xml.gz',
+		]);
+		expect(read('sitemap-shop-index.xml')).to.include('<loc>/sitemap-shop-part-1.xml.gz</loc>');
+	});
+
+	it("writes a sitemap for each group and a single sitemap index", async () => {
+		const options = {
+			baseURL:            'https://website.net',
+			maxUrlsPerSitemap:  2,
+			urls:               ['/', '/about', '/contact'],
+			routes:             [{ path: '/blog/:post', meta: { sitemap: { group: 'blog', slugs: ['first-post', 'second-post'] } } }],
+			sitemaps:           { products: { urls: ['/shop'], routes: [] } },
+		};
+		const sitemaps = await generate(options);
+
+		expect(await write(options)).to.deep.equal([
+			'sitemap-part-1.xml', 'sitemap-part-2.xml', 'sitemap-products.xml', 'sitemap-blog.xml', 'sitemap-index.xml',
+		]);
+		Object.keys(sitemaps).forEach(filename => expect(read(`${filename}.xml`)).to.equal(minify(sitemaps[filename])));
+	});
+
+	it("removes the temporary files", async () => {
+		await write({ urls: ['https://website.net'] });
+		expect(fs.readdirSync(outputDir)).to.deep.equal(['sitemap.xml']);
+
+		await expect(write({
+			baseURL:  'https://website.net',
+			routes:   [{ path: '/user/:id', meta: { sitemap: { slugs: [1, 2, null] } } }],
+		})).to.be.rejected;
+		expect(fs.readdirSync(outputDir)).to.deep.equal(['sitemap.xml']);
+	});
+
+	/**
+	 * Call 'writeSitemaps' with some default options
+	 */
+	function write(options)
+	{
+		return writeSitemaps({ ...defaultOptions, ...options }, outputDir);
+	}
+
+	/**
+	 * Read a written sitemap
+	 */
+	function read(filename)
+	{
+		return fs.readFileSync(path.join(outputDir, filename), 'utf8');
+	}
+
+	/**
+	 * Read and decompress a written sitemap
+	 */
+	function gunzip(filename)
+	{
+		return zlib.gunzipSync(fs.readFileSync(path.join(outputDir, filename))).toString('utf8');
+	}
+});
+
+/**
+ * Call 'generateSitemaps' with some default options
+ */
+function generate(options)
+{
+	return generateSitemaps({ ...defaultOptions, ...options });
+}
+
+/**
+ * Remove the formatting characters of a sitemap
+ */
+function minify(xml)
+{
+	return xml.replace(/\t+|\n/g, '');
+}